@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+// Job acquisition benchmark: enqueue a batch of jobs, then let N worker processes
+// claim and complete them against one database until the queue is empty.
+// Commands are not run, so the numbers measure claiming and bookkeeping only.
+//
+//   node scripts/benchmark.js [--jobs 2000] [--workers 1,4,16]
+
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function parseArgs(argv) {
+  const options = { jobs: 2000, workers: [1, 4, 16] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--jobs') {
+      options.jobs = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--workers') {
+      options.workers = argv[++i].split(',').map(count => parseInt(count, 10));
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!(options.jobs > 0) || options.workers.some(count => !(count > 0))) {
+    throw new Error('--jobs and --workers must be positive integers');
+  }
+  return options;
+}
+
+// Child: wait for the start signal, then claim and complete jobs until none are left
+function runWorker(workerId) {
+  const Queue = require('../src/queue');
+  const queue = new Queue();
+
+  process.on('message', (message) => {
+    if (message !== 'start') {
+      return;
+    }
+    const claimed = [];
+    let job;
+    while ((job = queue.claimNextJob(workerId)) !== null) {
+      queue.storage.updateJobIfState(job.id, 'processing', { state: 'completed', worker_id: null, lease_expires_at: null });
+      claimed.push(job.id);
+    }
+    queue.storage.close();
+    process.send({ claimed }, () => process.disconnect());
+  });
+  process.send('ready');
+}
+
+function enqueueJobs(dir, count) {
+  const Queue = require('../src/queue');
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const queue = new Queue();
+    queue.storage.transaction(() => {
+      for (let i = 0; i < count; i++) {
+        queue.enqueue({ id: `bench-${i}`, command: 'true' });
+      }
+    });
+    queue.storage.close();
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+async function runRound(workers, jobs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-bench-'));
+  try {
+    enqueueJobs(dir, jobs);
+
+    const children = [];
+    for (let i = 0; i < workers; i++) {
+      children.push(fork(__filename, ['--worker', `bench-worker-${i}`], { cwd: dir }));
+    }
+
+    const nextMessage = child => new Promise((resolve, reject) => {
+      child.once('message', resolve);
+      child.once('exit', code => reject(new Error(`Worker exited with code ${code}`)));
+    });
+
+    // Start the clock only once every worker has opened the database
+    await Promise.all(children.map(nextMessage));
+    const started = process.hrtime.bigint();
+    const results = children.map(nextMessage);
+    children.forEach(child => child.send('start'));
+    const claims = (await Promise.all(results)).map(result => result.claimed);
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    await Promise.all(children.map(child => new Promise(resolve => (
+      child.exitCode !== null ? resolve() : child.once('exit', resolve)
+    ))));
+
+    const ids = claims.flat();
+    const unique = new Set(ids).size;
+    if (unique !== jobs || ids.length !== jobs) {
+      throw new Error(`Expected ${jobs} jobs claimed exactly once, got ${ids.length} claims of ${unique} jobs`);
+    }
+
+    return {
+      workers,
+      jobs,
+      seconds,
+      perSecond: jobs / seconds,
+      perWorker: claims.map(claimed => claimed.length)
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`Claiming ${options.jobs} jobs (${os.cpus().length} CPUs)\n`);
+  console.log('workers  seconds  jobs/s   claims per worker (min-max)');
+
+  for (const workers of options.workers) {
+    const result = await runRound(workers, options.jobs);
+    console.log([
+      String(result.workers).padEnd(8),
+      result.seconds.toFixed(2).padEnd(8),
+      Math.round(result.perSecond).toString().padEnd(8),
+      `${Math.min(...result.perWorker)}-${Math.max(...result.perWorker)}`
+    ].join(' '));
+  }
+}
+
+if (process.argv[2] === '--worker') {
+  runWorker(process.argv[3]);
+} else {
+  main().catch((error) => {
+    console.error(`Benchmark failed: ${error.message}`);
+    process.exit(1);
+  });
+}
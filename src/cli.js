@@ -1,36 +1,188 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const { Command } = require('commander');
 const chalk = require('chalk');
 const Queue = require('./queue');
 const Config = require('./config');
+const Scheduler = require('./scheduler');
 const { WorkerManager } = require('./worker');
+const Supervisor = require('./supervisor');
+const ApiServer = require('./server');
+const { QueueError, ValidationError, NotFoundError, ConflictError } = require('./errors');
+const { EXIT_CODES, exitCodeFor, validateFormat, render } = require('./output');
+const { parseDuration } = require('./duration');
+const { describePolicy } = require('./retry');
 
 const program = new Command();
 
+const stateColors = {
+  blocked: chalk.gray,
+  scheduled: chalk.cyan,
+  pending: chalk.yellow,
+  processing: chalk.blue,
+  completed: chalk.green,
+  failed: chalk.magenta,
+  dead: chalk.red,
+  cancelled: chalk.gray
+};
+
+function colorState(state, text = state) {
+  return (stateColors[state] || chalk.white)(text);
+}
+
+// CSV columns for jobs, in a fixed order
+const JOB_COLUMNS = [
+  'id', 'command', 'state', 'queue', 'priority', 'attempts', 'max_retries', 'run_at', 'timeout',
+  'depends_on', 'next_retry_at', 'cancel_requested', 'idempotency_key', 'type', 'args', 'cwd', 'env', 'payload',
+  'retry', 'result', 'exit_code', 'duration_ms', 'worker_id', 'error_message', 'created_at', 'updated_at'
+];
+const LOG_COLUMNS = ['job_id', 'attempt', 'stdout', 'stderr', 'stdout_truncated', 'stderr_truncated', 'started_at', 'finished_at'];
+const SCHEDULE_COLUMNS = ['name', 'cron', 'job_template', 'misfire_policy', 'paused', 'next_run_at', 'last_run_at', 'created_at', 'updated_at'];
+const SETTING_COLUMNS = ['key', 'type', 'unit', 'default', 'value', 'source', 'env', 'description'];
+const CANCEL_COLUMNS = ['cancelled', 'requested', 'skipped'];
+
+// The command line as it runs; arguments are quoted where a shell would need it
+function formatCommand(job) {
+  if (job.type) {
+    return `${job.type} (handler)`;
+  }
+  if (!job.args) {
+    return job.command;
+  }
+  return [job.command, ...job.args]
+    .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(' ');
+}
+
+// Working directory, environment and payload lines shared by list and inspect
+function processDetails(job, indent = '') {
+  const lines = [];
+  if (job.cwd) {
+    lines.push(`${indent}Cwd: ${job.cwd}`);
+  }
+  if (job.env) {
+    lines.push(`${indent}Env: ${Object.entries(job.env).map(([name, value]) => `${name}=${value}`).join(' ')}`);
+  }
+  if (job.payload !== null) {
+    const payload = JSON.stringify(job.payload);
+    lines.push(`${indent}Payload: ${payload.length > 80 ? `${payload.slice(0, 77)}...` : payload}`);
+  }
+  return lines;
+}
+
+// Plain text when piped or redirected, unless FORCE_COLOR says otherwise
+if (!process.stdout.isTTY && process.env.FORCE_COLOR === undefined) {
+  chalk.level = 0;
+}
+
 program
   .name('queuectl')
   .description('CLI-based background job queue system')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-f, --format <format>', 'Output format: table, json, ndjson or csv', 'table')
+  .option('--json', 'Shorthand for --format json')
+  .hook('preAction', () => {
+    try {
+      validateFormat(outputFormat());
+    } catch (error) {
+      program.setOptionValue('format', 'table');
+      fail(error);
+    }
+  });
+
+function outputFormat() {
+  const options = program.opts();
+  return options.json ? 'json' : options.format;
+}
+
+function isTable() {
+  return outputFormat() === 'table';
+}
+
+// Print data in the selected machine-readable format
+function emit(data, columns = null) {
+  const text = render(outputFormat(), data, columns);
+  if (text) {
+    console.log(text);
+  }
+}
+
+// Report an error and exit with the code for its type (see EXIT_CODES)
+function fail(error) {
+  const code = exitCodeFor(error);
+  if (isTable()) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+  } else {
+    const type = code === EXIT_CODES.error ? 'Error' : error.name;
+    console.error(JSON.stringify({ error: { type, message: error.message, exit_code: code } }));
+  }
+  process.exit(code);
+}
 
 // Enqueue command
 program
   .command('enqueue')
-  .description('Add a new job to the queue')
-  .argument('<job-json>', 'Job JSON string')
-  .action((jobJson) => {
+  .description('Add a new job to the queue, or a batch of jobs from a file or stdin')
+  .argument('[job-json]', 'Job JSON string, or - to read a batch from stdin')
+  .option('--file <path>', 'Read a batch of jobs from a file (JSON array or one job per line)')
+  .option('--skip-duplicates', 'Skip jobs whose id already exists instead of rejecting the whole batch')
+  .option('--if-exists <policy>', 'When a job with the same id or idempotency key exists: error, ignore (return it) or replace', 'error')
+  .action((jobJson, options) => {
     try {
-      const jobData = JSON.parse(jobJson);
       const queue = new Queue();
-      const job = queue.enqueue(jobData);
-      console.log(chalk.green(`✓ Job ${job.id} enqueued successfully`));
+      if (options.file || jobJson === '-') {
+        if (options.file && jobJson !== undefined) {
+          throw new ValidationError('Give either a job JSON string or --file, not both');
+        }
+        const text = fs.readFileSync(options.file || 0, 'utf8');
+        printBatchSummary(queue.enqueueBatch(text, { skipDuplicates: Boolean(options.skipDuplicates) }));
+        return;
+      }
+      if (jobJson === undefined) {
+        throw new ValidationError('Give a job JSON string, --file or - for stdin');
+      }
+
+      const jobData = JSON.parse(jobJson);
+      const { job, status } = queue.submit(jobData, { ifExists: options.ifExists });
+      if (!isTable()) {
+        emit(job, JOB_COLUMNS);
+        return;
+      }
+      if (status === 'existing') {
+        console.log(chalk.yellow(`✓ Job ${job.id} already exists, nothing enqueued`));
+      } else {
+        console.log(chalk.green(`✓ Job ${job.id} ${status === 'replaced' ? 'replaced' : 'enqueued successfully'}`));
+      }
       console.log(JSON.stringify(job, null, 2));
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
+function printBatchSummary(summary) {
+  if (!isTable()) {
+    emit(summary);
+  } else {
+    const counts = `${summary.inserted.length} inserted, ${summary.skipped.length} skipped, ${summary.invalid.length} invalid`;
+    if (summary.committed) {
+      console.log(chalk.green(`✓ Batch enqueued: ${counts}`));
+    } else {
+      console.log(chalk.red('✗ Batch rejected, no jobs were enqueued'));
+    }
+    summary.skipped.forEach(({ location, error }) => {
+      console.log(`  ${location}: ${chalk.yellow(summary.committed ? 'skipped' : 'duplicate')} ${error}`);
+    });
+    summary.invalid.forEach(({ location, error }) => {
+      console.log(`  ${location}: ${chalk.red('invalid')} ${error}`);
+    });
+  }
+
+  if (!summary.committed) {
+    process.exit(summary.invalid.length > 0 ? EXIT_CODES.invalid : EXIT_CODES.conflict);
+  }
+}
+
 // Worker commands
 const workerCmd = program
   .command('worker')
@@ -40,30 +192,90 @@ workerCmd
   .command('start')
   .description('Start one or more workers')
   .option('-c, --count <number>', 'Number of workers to start', '1')
-  .action((options) => {
+  .option('-q, --queues <queues>', 'Only pull from these queues, with optional weights (e.g. emails:3,reports)')
+  .option('-n, --concurrency <number>', 'Jobs each worker runs at once', '1')
+  .option('-d, --daemon', 'Run the workers in the background under a supervisor that restarts them')
+  .action(async (options) => {
     try {
       const count = parseInt(options.count, 10);
       if (isNaN(count) || count < 1) {
-        throw new Error('Count must be a positive integer');
+        throw new ValidationError('Count must be a positive integer');
+      }
+      const concurrency = Number(options.concurrency);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError('Concurrency must be a positive integer');
+      }
+      if (options.queues) {
+        Queue.parseQueueSpec(options.queues);
       }
       const manager = new WorkerManager();
-      manager.startWorkers(count);
+      if (!options.daemon) {
+        manager.startWorkers(count, { queues: options.queues, concurrency });
+        return;
+      }
+
+      const state = await manager.startDaemon(count, { queues: options.queues, concurrency });
+      if (!isTable()) {
+        emit(state);
+        return;
+      }
+      console.log(chalk.green(`✅ Supervisor ${state.pid} started ${count} worker(s) in the background`));
+      console.log(chalk.gray(`   Logs: ${state.log_dir}`));
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
 workerCmd
   .command('stop')
   .description('Stop all running workers gracefully')
-  .action(async () => {
+  .option('-t, --timeout <duration>', 'How long to wait for workers to finish their jobs before killing them', '40s')
+  .action(async (options) => {
     try {
       const manager = new WorkerManager();
-      await manager.stopWorkers();
+      // In the machine-readable formats progress goes to stderr and only the summary to stdout
+      const stopped = await manager.stopWorkers(parseDuration(options.timeout), isTable() ? console.log : console.error);
+      if (!isTable()) {
+        emit(stopped);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+workerCmd
+  .command('restart')
+  .description('Gracefully restart every worker of the background supervisor')
+  .action(() => {
+    try {
+      const supervisor = new WorkerManager().restartWorkers();
+      if (!isTable()) {
+        emit({ pid: supervisor.pid, restarting: supervisor.workers.length });
+        return;
+      }
+      console.log(chalk.green(`✅ Supervisor ${supervisor.pid} is restarting ${supervisor.workers.length} worker(s)`));
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+workerCmd
+  .command('scale <count>')
+  .description('Change how many workers the background supervisor runs')
+  .action(async (countArg) => {
+    try {
+      const count = Number(countArg);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new ValidationError('Count must be a non-negative integer');
+      }
+      const state = await new WorkerManager().scaleWorkers(count);
+      if (!isTable()) {
+        emit(state);
+        return;
+      }
+      console.log(chalk.green(`✅ Supervisor ${state.pid} now runs ${count} worker(s)`));
+    } catch (error) {
+      fail(error);
     }
   });
 
@@ -71,69 +283,638 @@ workerCmd
 program
   .command('status')
   .description('Show summary of all job states & active workers')
-  .action(() => {
+  .option('-q, --queue <name>', 'Only count jobs in this queue')
+  .action((options) => {
     try {
       const queue = new Queue();
-      const stats = queue.getStats();
+      const stats = queue.getStats(options.queue || null);
       const manager = new WorkerManager();
       const activeWorkers = manager.getActiveWorkers();
+      const workers = queue.getWorkers();
+      const supervisor = Supervisor.read();
+
+      if (!isTable()) {
+        const queueStats = Object.entries(queue.getQueueStats())
+          .filter(([name]) => !options.queue || name === options.queue);
+        const total = counts => Object.values(counts).reduce((a, b) => a + b, 0);
+        if (outputFormat() === 'csv') {
+          emit(queueStats.map(([name, counts]) => ({ queue: name, ...counts, total: total(counts) })),
+            ['queue', ...Object.keys(stats), 'total']);
+          return;
+        }
+        emit({
+          queue: options.queue || null,
+          active_workers: activeWorkers,
+          jobs: stats,
+          total: total(stats),
+          reclaimed: queue.getReclaimedCount(),
+          queues: Object.fromEntries(queueStats),
+          workers: workers.map(worker => ({ ...worker, queues: worker.queues ? worker.queues.split(',') : null })),
+          supervisor
+        });
+        return;
+      }
 
-      console.log(chalk.bold('\n📊 Queue Status\n'));
+      console.log(chalk.bold(`\n📊 Queue Status${options.queue ? ` (${options.queue})` : ''}\n`));
       console.log(`Active Workers: ${chalk.cyan(activeWorkers)}`);
+      if (supervisor && supervisor.desired === null) {
+        console.log(`Supervisor: ${chalk.cyan(`pid ${supervisor.pid}`)}, starting`);
+      } else if (supervisor) {
+        const up = supervisor.workers.filter(worker => worker.pid).length;
+        const restarts = supervisor.workers.reduce((sum, worker) => sum + worker.restarts, 0);
+        console.log(`Supervisor: ${chalk.cyan(`pid ${supervisor.pid}`)}, ${up}/${supervisor.desired} workers up, ${restarts} restart(s)`);
+      }
+      console.log(`Blocked: ${chalk.gray(stats.blocked)}`);
+      console.log(`Scheduled: ${chalk.cyan(stats.scheduled)}`);
       console.log(`Pending: ${chalk.yellow(stats.pending)}`);
       console.log(`Processing: ${chalk.blue(stats.processing)}`);
       console.log(`Completed: ${chalk.green(stats.completed)}`);
       console.log(`Failed: ${chalk.magenta(stats.failed)}`);
       console.log(`Dead (DLQ): ${chalk.red(stats.dead)}`);
-      console.log(`Total: ${chalk.bold(Object.values(stats).reduce((a, b) => a + b, 0))}\n`);
+      console.log(`Cancelled: ${chalk.gray(stats.cancelled)}`);
+      console.log(`Total: ${chalk.bold(Object.values(stats).reduce((a, b) => a + b, 0))}`);
+      console.log(`Reclaimed (expired leases): ${chalk.gray(queue.getReclaimedCount())}\n`);
+
+      if (workers.length > 0) {
+        const busy = workers.reduce((sum, worker) => sum + worker.busy, 0);
+        const slots = workers.reduce((sum, worker) => sum + worker.concurrency, 0);
+        console.log(chalk.bold(`Workers (${busy}/${slots} slots busy)\n`));
+        console.log(chalk.gray(`${'Worker'.padEnd(36)}${'PID'.padEnd(10)}${'Slots'.padEnd(10)}${'Queues'.padEnd(24)}Heartbeat`));
+        workers.forEach(worker => {
+          const slotText = `${worker.busy}/${worker.concurrency}`;
+          console.log(`${worker.id.padEnd(36)}${String(worker.pid).padEnd(10)}${slotText.padEnd(10)}${(worker.queues || 'all').padEnd(24)}${worker.heartbeat_at}`);
+        });
+        console.log();
+      }
+
+      if (!options.queue) {
+        const queueStats = queue.getQueueStats();
+        // Every state getStats counts, so each row adds up to its total
+        const states = Object.keys(stats);
+        const headers = [...states.map(state => state[0].toUpperCase() + state.slice(1)), 'Total'];
+        console.log(chalk.bold('Per Queue\n'));
+        console.log(chalk.gray(`${'Queue'.padEnd(16)}${headers.map(h => h.padEnd(12)).join('')}`));
+        Object.entries(queueStats).forEach(([name, counts]) => {
+          const values = [...states.map(state => counts[state]), Object.values(counts).reduce((a, b) => a + b, 0)];
+          console.log(`${name.padEnd(16)}${values.map(n => String(n).padEnd(12)).join('')}`);
+        });
+        console.log();
+      }
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
+// Jobs shown by `list` in table mode when no --limit is given
+const DEFAULT_LIST_LIMIT = 100;
+
+// Filter options shared by list and count
+function addJobFilterOptions(command) {
+  return command
+    .option('-s, --state <state>', 'Filter by state (blocked, scheduled, pending, processing, completed, failed, dead, cancelled)')
+    .option('-p, --priority <priority>', 'Filter by priority')
+    .option('-q, --queue <name>', 'Filter by queue')
+    .option('--command-contains <text>', 'Only jobs whose command contains this text')
+    .option('--command-regex <pattern>', 'Only jobs whose command matches this regular expression')
+    .option('--worker <id>', 'Only jobs last claimed by this worker')
+    .option('--created-after <time>', 'Only jobs created after this ISO timestamp or duration ago (e.g. 2h)')
+    .option('--created-before <time>', 'Only jobs created before this ISO timestamp or duration ago (e.g. 7d)');
+}
+
+function jobFilters(options) {
+  const filters = {
+    state: options.state || null,
+    queue: options.queue || null,
+    command_contains: options.commandContains || null,
+    command_regex: options.commandRegex || null,
+    worker_id: options.worker || null,
+    created_after: options.createdAfter || null,
+    created_before: options.createdBefore || null
+  };
+  if (options.priority !== undefined) {
+    filters.priority = parseInt(options.priority, 10);
+    if (isNaN(filters.priority)) {
+      throw new ValidationError('Priority must be an integer');
+    }
+  }
+  return filters;
+}
+
 // List command
-program
+addJobFilterOptions(program
   .command('list')
-  .description('List jobs by state')
-  .option('-s, --state <state>', 'Filter by state (pending, processing, completed, failed, dead)')
+  .description('List jobs by state'))
+  .option('-l, --limit <n>', `Show at most this many jobs, 0 for all (default: ${DEFAULT_LIST_LIMIT} in table format, all otherwise)`)
+  .option('-o, --offset <n>', 'Skip this many jobs first', '0')
+  .option('--sort <field>', 'Sort by created, updated or attempts, optionally with :asc or :desc', 'created:desc')
   .action((options) => {
     try {
       const queue = new Queue();
-      const jobs = queue.list(options.state || null);
+      const filters = {
+        ...jobFilters(options),
+        sort: options.sort,
+        limit: options.limit === undefined ? (isTable() ? DEFAULT_LIST_LIMIT : 0) : options.limit,
+        offset: options.offset
+      };
+      const jobs = queue.list(filters);
 
+      if (!isTable()) {
+        emit(jobs, JOB_COLUMNS);
+        return;
+      }
       if (jobs.length === 0) {
         console.log(chalk.yellow('No jobs found'));
         return;
       }
 
-      console.log(chalk.bold(`\n📋 Jobs${options.state ? ` (${options.state})` : ''}\n`));
+      const labels = [];
+      if (options.state) {
+        labels.push(options.state);
+      }
+      if (filters.priority !== undefined) {
+        labels.push(`priority ${filters.priority}`);
+      }
+      if (options.queue) {
+        labels.push(`queue ${options.queue}`);
+      }
+      if (options.worker) {
+        labels.push(`worker ${options.worker}`);
+      }
+
+      console.log(chalk.bold(`\n📋 Jobs${labels.length ? ` (${labels.join(', ')})` : ''}\n`));
       jobs.forEach(job => {
-        const stateColor = {
-          pending: chalk.yellow,
-          processing: chalk.blue,
-          completed: chalk.green,
-          failed: chalk.magenta,
-          dead: chalk.red
-        }[job.state] || chalk.white;
-
-        console.log(`${stateColor(job.state.padEnd(12))} ${job.id}`);
-        console.log(`  Command: ${job.command}`);
+        console.log(`${colorState(job.state, job.state.padEnd(12))} ${job.id}`);
+        console.log(`  Command: ${formatCommand(job)}`);
+        processDetails(job, '  ').forEach(line => console.log(line));
+        console.log(`  Queue: ${job.queue}`);
+        console.log(`  Priority: ${job.priority}`);
         console.log(`  Attempts: ${job.attempts}/${job.max_retries}`);
+        if (job.state === 'scheduled') {
+          console.log(`  Run At: ${job.run_at}`);
+        }
+        if (job.depends_on.length > 0) {
+          console.log(`  Depends On: ${job.depends_on.join(', ')}`);
+        }
         if (job.next_retry_at) {
           console.log(`  Next Retry: ${job.next_retry_at}`);
         }
+        if (job.cancel_requested) {
+          console.log(`  ${chalk.yellow('Cancellation requested')}`);
+        }
         if (job.error_message) {
           console.log(`  Error: ${chalk.red(job.error_message)}`);
         }
         console.log(`  Created: ${job.created_at}\n`);
       });
+
+      const total = queue.count(filters);
+      if (jobs.length < total) {
+        const first = Number(options.offset) + 1;
+        console.log(chalk.gray(`Showing ${first}-${first + jobs.length - 1} of ${total} jobs; use --limit and --offset to see more\n`));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Count command
+addJobFilterOptions(program
+  .command('count')
+  .description('Print the number of jobs matching the filters'))
+  .action((options) => {
+    try {
+      const queue = new Queue();
+      const count = queue.count(jobFilters(options));
+      if (isTable()) {
+        console.log(count);
+        return;
+      }
+      emit({ count }, ['count']);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Purge command
+program
+  .command('purge')
+  .description('Permanently delete old completed, dead or cancelled jobs')
+  .requiredOption('-s, --state <states>', 'Comma-separated states to purge (completed, dead, cancelled)')
+  .option('--older-than <duration>', 'Only jobs that finished longer ago than this (e.g. 7d)', '0')
+  .option('--archive <file>', 'Append purged jobs to this NDJSON file first (default: the retention-archive config)')
+  .option('--dry-run', 'Only report how many jobs would be purged')
+  .action((options) => {
+    try {
+      const queue = new Queue();
+      const states = options.state.split(',').map(state => state.trim()).filter(Boolean);
+      const archive = options.archive || queue.config.getRetentionArchive();
+      const purged = queue.purge({
+        states,
+        olderThanMs: parseDuration(options.olderThan),
+        dryRun: Boolean(options.dryRun),
+        archive,
+        fullVacuum: true
+      });
+
+      if (!isTable()) {
+        emit({ states, older_than: options.olderThan, dry_run: Boolean(options.dryRun), purged, archive: archive || null });
+        return;
+      }
+      if (options.dryRun) {
+        console.log(chalk.yellow(`Would purge ${purged} job(s)`));
+        return;
+      }
+      console.log(chalk.green(`✓ Purged ${purged} job(s)${archive && purged > 0 ? `, archived to ${archive}` : ''}`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Reprioritize command
+program
+  .command('reprioritize')
+  .description('Change the priority of a job that is still waiting to run')
+  .argument('<job-id>', 'Job ID')
+  .argument('<priority>', 'New priority (higher runs first)')
+  .action((jobId, priority) => {
+    try {
+      const queue = new Queue();
+      const job = queue.reprioritize(jobId, priority);
+      if (!isTable()) {
+        emit(job, JOB_COLUMNS);
+        return;
+      }
+      console.log(chalk.green(`✓ Job ${job.id} priority set to ${job.priority}`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Cancel command
+program
+  .command('cancel')
+  .description('Cancel a job, or every job matching --state / --command')
+  .argument('[job-id]', 'Job ID')
+  .option('-s, --state <state>', 'Cancel all jobs in this state')
+  .option('--command <pattern>', 'Cancel all jobs whose command matches this glob pattern (e.g. "*backup*")')
+  .action((jobId, options) => {
+    try {
+      const queue = new Queue();
+
+      if (jobId) {
+        if (options.state || options.command) {
+          throw new ValidationError('Give either a job id or --state/--command, not both');
+        }
+        // Same shape as a bulk cancel, for the machine-readable formats
+        const results = { cancelled: [], requested: [], skipped: [] };
+        results[queue.cancel(jobId)].push(jobId);
+        if (!isTable()) {
+          emit(results, CANCEL_COLUMNS);
+        } else if (results.requested.length > 0) {
+          console.log(chalk.yellow(`⏳ Job ${jobId} is running; its worker will kill it shortly`));
+        } else {
+          console.log(chalk.green(`✓ Job ${jobId} cancelled`));
+        }
+        return;
+      }
+
+      if (!options.state && !options.command) {
+        throw new ValidationError('Give a job id, --state or --command');
+      }
+      const results = queue.cancelMany({ state: options.state || null, command_glob: options.command || null });
+      if (!isTable()) {
+        emit(results, CANCEL_COLUMNS);
+        return;
+      }
+      console.log(chalk.green(`✓ Cancelled ${results.cancelled.length} job(s)`));
+      if (results.requested.length > 0) {
+        console.log(chalk.yellow(`⏳ Requested cancellation of ${results.requested.length} running job(s): ${results.requested.join(', ')}`));
+      }
+      if (results.skipped.length > 0) {
+        console.log(chalk.gray(`Skipped ${results.skipped.length} job(s) that finished meanwhile`));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Result command
+program
+  .command('result')
+  .description('Print the result of a finished job')
+  .argument('<job-id>', 'Job ID')
+  .option('-w, --wait', 'Wait for the job to finish first')
+  .option('-t, --timeout <duration>', 'Give up waiting after this long (exit code 5)')
+  .action(async (jobId, options) => {
+    try {
+      const queue = new Queue();
+      const timeoutMs = options.timeout === undefined ? 0 : parseDuration(options.timeout);
+      const job = options.wait ? await queue.waitForJob(jobId, timeoutMs) : queue.getJob(jobId);
+      if (!job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+      if (!['completed', 'dead', 'cancelled'].includes(job.state)) {
+        throw new ConflictError(`Job ${jobId} is still ${job.state}; use --wait to wait for it`);
+      }
+
+      if (!isTable()) {
+        const { id, state, exit_code, duration_ms, result, error_message } = job;
+        emit({ id, state, exit_code, duration_ms, result, error_message });
+      } else if (job.state === 'completed' && job.result !== null) {
+        // Captured output is printed as is, a structured result as JSON
+        const text = typeof job.result === 'string' ? job.result : JSON.stringify(job.result, null, 2);
+        process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+      }
+
+      if (job.state !== 'completed') {
+        throw new QueueError(`Job ${jobId} is ${job.state}${job.error_message ? `: ${job.error_message}` : ''}`);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Logs command
+program
+  .command('logs')
+  .description('Show captured output of a job, per attempt')
+  .argument('<job-id>', 'Job ID')
+  .option('-a, --attempt <number>', 'Only show the given attempt')
+  .option('--stderr-only', 'Only show stderr')
+  .option('-f, --follow', 'Keep printing output while the job is running')
+  .action(async (jobId, options) => {
+    try {
+      const queue = new Queue();
+      let attempt = null;
+      if (options.attempt !== undefined) {
+        attempt = parseInt(options.attempt, 10);
+        if (isNaN(attempt) || attempt < 1) {
+          throw new ValidationError('Attempt must be a positive integer');
+        }
+      }
+
+      if (options.follow) {
+        if (outputFormat() === 'csv') {
+          throw new ValidationError('logs --follow prints json or ndjson, not csv');
+        }
+        await followLogs(queue, jobId, attempt, options.stderrOnly);
+        return;
+      }
+
+      const logs = queue.getLogs(jobId, attempt);
+      if (!isTable()) {
+        emit(options.stderrOnly ? logs.map(log => ({ ...log, stdout: null })) : logs, LOG_COLUMNS);
+        return;
+      }
+      if (logs.length === 0) {
+        console.log(chalk.yellow(`No output captured for job ${jobId}${attempt ? ` (attempt ${attempt})` : ''}`));
+        return;
+      }
+
+      logs.forEach(log => {
+        printLogHeader(log);
+        if (!options.stderrOnly) {
+          console.log(chalk.cyan('[stdout]'));
+          process.stdout.write(log.stdout || chalk.gray('(empty)\n'));
+        }
+        console.log(chalk.magenta('[stderr]'));
+        process.stdout.write(log.stderr || chalk.gray('(empty)\n'));
+        console.log();
+      });
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
+function printLogHeader(log) {
+  const finished = log.finished_at ? `finished ${log.finished_at}` : chalk.blue('running');
+  console.log(chalk.bold(`\n📜 Attempt ${log.attempt}`) + chalk.gray(` (started ${log.started_at}, ${finished})`));
+}
+
+// Poll the job's logs, printing only what was appended since the last poll,
+// until the job reaches a terminal state and its last attempt is finished, or is purged.
+// Both streams go to stdout as without --follow, stderr in magenta.
+// In the machine-readable formats each new chunk is a line of {attempt, stream, data}.
+async function followLogs(queue, jobId, attempt, stderrOnly) {
+  const printed = {};
+  const write = (log, stream, data) => {
+    if (!isTable()) {
+      console.log(JSON.stringify({ attempt: log.attempt, stream, data }));
+    } else {
+      process.stdout.write(stream === 'stderr' ? chalk.magenta(data) : data);
+    }
+  };
+
+  for (let polls = 0; ; polls++) {
+    let logs;
+    try {
+      logs = queue.getLogs(jobId, attempt);
+    } catch (error) {
+      // A job purged while it was being followed ends the stream
+      if (error instanceof NotFoundError && polls > 0) {
+        return;
+      }
+      throw error;
+    }
+
+    logs.forEach(log => {
+      if (!printed[log.attempt]) {
+        printed[log.attempt] = { stdout: 0, stderr: 0 };
+        if (isTable()) {
+          printLogHeader(log);
+        }
+      }
+      const seen = printed[log.attempt];
+      if (!stderrOnly && log.stdout.length > seen.stdout) {
+        write(log, 'stdout', log.stdout.slice(seen.stdout));
+        seen.stdout = log.stdout.length;
+      }
+      if (log.stderr.length > seen.stderr) {
+        write(log, 'stderr', log.stderr.slice(seen.stderr));
+        seen.stderr = log.stderr.length;
+      }
+    });
+
+    const job = queue.getJob(jobId);
+    if (!job) {
+      return;
+    }
+    const last = logs[logs.length - 1];
+    const terminal = ['completed', 'dead', 'cancelled'].includes(job.state);
+    const done = attempt !== null
+      ? (last ? Boolean(last.finished_at) : terminal)
+      : terminal && (!last || Boolean(last.finished_at));
+    if (done) {
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+// Inspect command
+program
+  .command('inspect')
+  .description('Show a job and the timeline of all its attempts')
+  .argument('<job-id>', 'Job ID')
+  .action((jobId) => {
+    try {
+      const queue = new Queue();
+      const job = queue.getJob(jobId);
+      if (!job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+      const attempts = queue.getAttempts(jobId);
+
+      if (!isTable()) {
+        emit({ ...job, timeline: attempts }, [...JOB_COLUMNS, 'timeline']);
+        return;
+      }
+      console.log(chalk.bold(`\n🔎 Job ${job.id}\n`));
+      console.log(`State: ${colorState(job.state)}`);
+      console.log(`Command: ${formatCommand(job)}`);
+      processDetails(job).forEach(line => console.log(line));
+      console.log(`Queue: ${job.queue}`);
+      console.log(`Priority: ${job.priority}`);
+      if (job.timeout !== null) {
+        console.log(`Timeout: ${job.timeout}s`);
+      }
+      console.log(`Attempts: ${job.attempts}/${job.max_retries}`);
+      if (job.retry) {
+        console.log(`Retry Policy: ${describePolicy(job.retry)}`);
+      }
+      console.log(`Created: ${job.created_at}`);
+      console.log(`Updated: ${job.updated_at}`);
+      if (job.run_at) {
+        console.log(`Run At: ${job.run_at}`);
+      }
+      if (job.depends_on.length > 0) {
+        console.log(`Depends On: ${job.depends_on.join(', ')}`);
+      }
+      if (job.next_retry_at) {
+        console.log(`Next Retry: ${job.next_retry_at}`);
+      }
+      if (job.error_message) {
+        console.log(`Error: ${chalk.red(job.error_message)}`);
+      }
+      if (job.exit_code !== null) {
+        console.log(`Exit Code: ${job.exit_code}`);
+      }
+      if (job.duration_ms !== null) {
+        console.log(`Duration: ${job.duration_ms}ms`);
+      }
+      if (job.result !== null) {
+        console.log(`Result: ${JSON.stringify(job.result)}`);
+      }
+
+      console.log(chalk.bold('\n🕒 Timeline\n'));
+      console.log(`${chalk.gray(job.created_at)}  enqueued`);
+      attempts.forEach(attempt => {
+        const statusColor = {
+          running: chalk.blue,
+          succeeded: chalk.green,
+          failed: chalk.red,
+          timed_out: chalk.red,
+          reclaimed: chalk.yellow,
+          cancelled: chalk.gray
+        }[attempt.status] || chalk.white;
+
+        console.log(`${chalk.gray(attempt.started_at)}  attempt ${attempt.attempt} started on ${attempt.worker_id || 'unknown worker'}`);
+        if (attempt.finished_at) {
+          const details = [`${attempt.duration_ms}ms`];
+          if (attempt.exit_code !== null) {
+            details.push(`exit code ${attempt.exit_code}`);
+          }
+          if (attempt.signal) {
+            details.push(`signal ${attempt.signal}`);
+          }
+          console.log(`${chalk.gray(attempt.finished_at)}  attempt ${attempt.attempt} ${statusColor(attempt.status.replace('_', ' '))} (${details.join(', ')})`);
+          if (attempt.error_message) {
+            console.log(`${' '.repeat(attempt.finished_at.length)}  ${chalk.red(attempt.error_message.trim())}`);
+          }
+        }
+      });
+      console.log();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Handlers command
+program
+  .command('handlers')
+  .description('List the registered job type handlers')
+  .action(() => {
+    try {
+      const queue = new Queue();
+      const handlers = queue.getHandlers().list();
+
+      if (!isTable()) {
+        emit(handlers, ['type', 'module', 'mode']);
+        return;
+      }
+      if (handlers.length === 0) {
+        console.log(chalk.yellow('No handlers registered; point config set handlers at a directory or JSON file'));
+        return;
+      }
+      console.log(chalk.bold('\n🧩 Handlers\n'));
+      console.log(chalk.gray(`${'Type'.padEnd(24)}${'Mode'.padEnd(10)}Module`));
+      handlers.forEach(handler => {
+        console.log(`${handler.type.padEnd(24)}${handler.mode.padEnd(10)}${handler.module}`);
+      });
+      console.log();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Graph command
+program
+  .command('graph')
+  .description('Show the dependency tree of a job with the state of each node')
+  .argument('<job-id>', 'Job ID')
+  .action((jobId) => {
+    try {
+      const queue = new Queue();
+      const graph = queue.getGraph(jobId);
+
+      if (!isTable()) {
+        // A tree of {id, state, children} for json, one row per edge otherwise
+        if (outputFormat() === 'json') {
+          const trim = node => ({ id: node.id, state: node.state, children: node.children.map(trim) });
+          emit({ upstream: trim(graph.upstream), downstream: trim(graph.downstream) });
+        } else {
+          const rows = [];
+          const flatten = (direction, node, parent) => {
+            rows.push({ direction, id: node.id, state: node.state, parent });
+            node.children.forEach(child => flatten(direction, child, node.id));
+          };
+          flatten('upstream', graph.upstream, null);
+          flatten('downstream', graph.downstream, null);
+          emit(rows, ['direction', 'id', 'state', 'parent']);
+        }
+        return;
+      }
+      console.log(chalk.bold(`\n🌳 Dependencies of ${jobId}\n`));
+      printTree(graph.upstream);
+      console.log(chalk.bold(`\n🌳 Dependents of ${jobId}\n`));
+      printTree(graph.downstream);
+      console.log();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+function printTree(node, prefix = '', last = true, root = true) {
+  const branch = root ? '' : (last ? '└── ' : '├── ');
+  console.log(`${prefix}${branch}${node.id} ${colorState(node.state, `[${node.state}]`)}`);
+
+  const childPrefix = root ? '' : prefix + (last ? '    ' : '│   ');
+  node.children.forEach((child, i) => {
+    printTree(child, childPrefix, i === node.children.length - 1, false);
+  });
+}
+
 // DLQ commands
 const dlqCmd = program
   .command('dlq')
@@ -147,6 +928,10 @@ dlqCmd
       const queue = new Queue();
       const jobs = queue.getDLQJobs();
 
+      if (!isTable()) {
+        emit(jobs, JOB_COLUMNS);
+        return;
+      }
       if (jobs.length === 0) {
         console.log(chalk.yellow('No jobs in Dead Letter Queue'));
         return;
@@ -155,14 +940,13 @@ dlqCmd
       console.log(chalk.bold('\n💀 Dead Letter Queue\n'));
       jobs.forEach(job => {
         console.log(chalk.red(`✗ ${job.id}`));
-        console.log(`  Command: ${job.command}`);
+        console.log(`  Command: ${formatCommand(job)}`);
         console.log(`  Attempts: ${job.attempts}/${job.max_retries}`);
         console.log(`  Error: ${chalk.red(job.error_message || 'Unknown error')}`);
         console.log(`  Failed at: ${job.updated_at}\n`);
       });
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -175,81 +959,310 @@ dlqCmd
       const queue = new Queue();
       const job = queue.retryFromDLQ(jobId);
       if (!job) {
-        console.error(chalk.red(`✗ Job ${jobId} not found in DLQ or already retried`));
-        process.exit(1);
+        throw new NotFoundError(`Job ${jobId} not found in DLQ or already retried`);
+      }
+      if (!isTable()) {
+        emit(job, JOB_COLUMNS);
+        return;
       }
       console.log(chalk.green(`✓ Job ${job.id} moved back to pending queue`));
       console.log(JSON.stringify(job, null, 2));
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+dlqCmd
+  .command('purge')
+  .description('Permanently delete a job, or every job, from the Dead Letter Queue')
+  .argument('[job-id]', 'Job ID to delete (all DLQ jobs when omitted)')
+  .action((jobId) => {
+    try {
+      const queue = new Queue();
+      const purged = queue.purgeDLQ(jobId === undefined ? null : jobId);
+      if (!isTable()) {
+        emit({ purged }, ['purged']);
+        return;
+      }
+      console.log(chalk.green(`✓ Purged ${purged.length} job(s) from the Dead Letter Queue`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// Schedule commands
+const scheduleCmd = program
+  .command('schedule')
+  .description('Manage recurring (cron-style) jobs');
+
+scheduleCmd
+  .command('add')
+  .description('Add a recurring job')
+  .argument('<name>', 'Schedule name, used to derive job ids')
+  .argument('<cron-expr>', 'Cron expression, e.g. "0 3 * * *" or @hourly')
+  .argument('<job-template-json>', 'Job JSON without an id')
+  .option('-m, --misfire <policy>', 'What to do with missed ticks (skip, fire-once, fire-all)')
+  .action((name, cronExpr, templateJson, options) => {
+    try {
+      const template = JSON.parse(templateJson);
+      const scheduler = new Scheduler();
+      const schedule = scheduler.add(name, cronExpr, template, { misfire_policy: options.misfire });
+      if (!isTable()) {
+        emit(schedule, SCHEDULE_COLUMNS);
+        return;
+      }
+      console.log(chalk.green(`✓ Schedule ${schedule.name} added, next run at ${schedule.next_run_at}`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+scheduleCmd
+  .command('list')
+  .description('List recurring jobs')
+  .action(() => {
+    try {
+      const scheduler = new Scheduler();
+      const schedules = scheduler.list();
+
+      if (!isTable()) {
+        emit(schedules, SCHEDULE_COLUMNS);
+        return;
+      }
+      if (schedules.length === 0) {
+        console.log(chalk.yellow('No schedules found'));
+        return;
+      }
+
+      console.log(chalk.bold('\n⏰ Schedules\n'));
+      schedules.forEach(schedule => {
+        const status = schedule.paused ? chalk.yellow('paused'.padEnd(8)) : chalk.green('active'.padEnd(8));
+        console.log(`${status} ${schedule.name} ${chalk.gray(`(${schedule.cron})`)}`);
+        console.log(`  Command: ${formatCommand(schedule.job_template)}`);
+        console.log(`  Misfire Policy: ${schedule.misfire_policy || 'default'}`);
+        if (!schedule.paused) {
+          console.log(`  Next Run: ${schedule.next_run_at}`);
+        }
+        console.log(`  Last Run: ${schedule.last_run_at || 'never'}\n`);
+      });
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+[
+  ['pause', 'Pause a recurring job', 'paused'],
+  ['resume', 'Resume a paused recurring job', 'resumed'],
+  ['remove', 'Remove a recurring job', 'removed']
+].forEach(([action, description, done]) => {
+  scheduleCmd
+    .command(action)
+    .description(description)
+    .argument('<name>', 'Schedule name')
+    .action((name) => {
+      try {
+        const scheduler = new Scheduler();
+        scheduler[action](name);
+        if (!isTable()) {
+          emit({ name, status: done });
+          return;
+        }
+        console.log(chalk.green(`✓ Schedule ${name} ${done}`));
+      } catch (error) {
+        fail(error);
+      }
+    });
+});
+
+scheduleCmd
+  .command('run')
+  .description('Run a dedicated scheduler loop that enqueues due jobs without executing them')
+  .action(() => {
+    const scheduler = new Scheduler();
+    console.log('Scheduler started');
+
+    const interval = setInterval(() => {
+      try {
+        scheduler.tick().forEach(job => console.log(`Enqueued scheduled job ${job.id}`));
+      } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+      }
+    }, 1000);
+
+    const stop = () => {
+      clearInterval(interval);
+      console.log('Scheduler stopped');
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+
+// HTTP API
+program
+  .command('serve')
+  .description('Serve the queue over a local JSON HTTP API')
+  .option('-p, --port <port>', 'Port to listen on', '8080')
+  .option('-H, --host <host>', 'Address to bind to', '127.0.0.1')
+  .option('-t, --token <token>', 'Require "Authorization: Bearer <token>" (defaults to $QUEUECTL_API_TOKEN)')
+  .action(async (options) => {
+    try {
+      const port = parseInt(options.port, 10);
+      if (isNaN(port) || port < 0 || port > 65535) {
+        throw new ValidationError('Port must be a number between 0 and 65535');
+      }
+      const token = options.token || process.env.QUEUECTL_API_TOKEN || null;
+      const server = new ApiServer({ token });
+      const address = await server.listen(port, options.host);
+
+      console.log(chalk.green(`✓ API listening on http://${address.address}:${address.port}`));
+      if (!token) {
+        console.log(chalk.yellow('  No token set; any local client can use the API'));
+      }
+
+      const stop = () => {
+        server.close().then(() => console.log('API server stopped'));
+      };
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    } catch (error) {
+      fail(error);
     }
   });
 
 // Config commands
 const configCmd = program
   .command('config')
-  .description('Manage configuration');
+  .description('Manage configuration (see `config describe` for the settings)');
+
+// Where a value in effect comes from, for table output
+function configSource(source) {
+  return {
+    env: 'environment',
+    db: 'config set',
+    rc: '.queuectlrc',
+    default: 'default'
+  }[source];
+}
+
+function configValue(value, unit) {
+  return value === null || value === '' ? 'not set' : `${value}${unit}`;
+}
 
 configCmd
   .command('set')
   .description('Set a configuration value')
-  .argument('<key>', 'Configuration key (max-retries, backoff-base)')
+  .argument('<key>', 'Configuration key, e.g. max-retries (see `config describe`)')
   .argument('<value>', 'Configuration value')
   .action((key, value) => {
     try {
       const config = new Config();
-      
-      if (key === 'max-retries') {
-        config.setMaxRetries(value);
-        console.log(chalk.green(`✓ max-retries set to ${value}`));
-      } else if (key === 'backoff-base') {
-        config.setBackoffBase(value);
-        console.log(chalk.green(`✓ backoff-base set to ${value}`));
-      } else {
-        throw new Error(`Unknown config key: ${key}. Use 'max-retries' or 'backoff-base'`);
+      const stored = config.setKey(key, value);
+      const [setting] = config.describe(key);
+      if (!isTable()) {
+        emit(setting, SETTING_COLUMNS);
+        return;
+      }
+      console.log(chalk.green(`✓ ${key} set to ${stored}${setting.unit}`));
+      if (setting.source === 'env') {
+        console.log(chalk.yellow(`  ${setting.env}=${process.env[setting.env]} overrides it while it is set`));
       }
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
     }
   });
 
 configCmd
   .command('get')
-  .description('Get a configuration value')
+  .description('Get the configuration value in effect')
   .argument('<key>', 'Configuration key')
   .action((key) => {
     try {
       const config = new Config();
       const value = config.get(key);
       if (value === null) {
-        console.error(chalk.red(`✗ Config key '${key}' not found`));
-        process.exit(1);
+        throw new NotFoundError(`Config key '${key}' is not set`);
+      }
+      if (!isTable()) {
+        emit({ key: Config.resolveKey(key), value }, ['key', 'value']);
+        return;
       }
       console.log(value);
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+configCmd
+  .command('unset')
+  .description('Remove a value set with `config set`, going back to .queuectlrc or the default')
+  .argument('<key>', 'Configuration key')
+  .action((key) => {
+    try {
+      const config = new Config();
+      const removed = config.unsetKey(key);
+      const [setting] = config.describe(key);
+      if (!isTable()) {
+        emit({ ...setting, removed }, [...SETTING_COLUMNS, 'removed']);
+        return;
+      }
+      const now = `${configValue(setting.value, setting.unit)} (${configSource(setting.source)})`;
+      if (removed) {
+        console.log(chalk.green(`✓ ${key} unset, now ${now}`));
+      } else {
+        console.log(chalk.yellow(`${key} was not set, it is ${now}`));
+      }
+    } catch (error) {
+      fail(error);
     }
   });
 
 configCmd
   .command('list')
-  .description('List all configuration values')
+  .description('List all configuration values in effect')
   .action(() => {
     try {
       const config = new Config();
-      const allConfig = config.getAll();
-      
+
+      if (!isTable()) {
+        const allConfig = config.getAll();
+        const format = outputFormat();
+        emit(format === 'json' ? allConfig : Object.entries(allConfig).map(([key, value]) => ({ key, value })),
+          ['key', 'value']);
+        return;
+      }
       console.log(chalk.bold('\n⚙️  Configuration\n'));
-      Object.entries(allConfig).forEach(([key, value]) => {
-        console.log(`${key}: ${chalk.cyan(value)}`);
+      config.describe().forEach(({ key, value, unit, source }) => {
+        const shown = configValue(value, unit);
+        console.log(`${key}: ${shown === 'not set' ? chalk.gray(shown) : chalk.cyan(shown)}${source === 'default' ? '' : chalk.gray(` (${configSource(source)})`)}`);
       });
       console.log();
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+configCmd
+  .command('describe')
+  .description('Show the type, default, current value and source of each setting')
+  .argument('[key]', 'Only describe this setting')
+  .action((key) => {
+    try {
+      const settings = new Config().describe(key === undefined ? null : key);
+
+      if (!isTable()) {
+        emit(key === undefined ? settings : settings[0], SETTING_COLUMNS);
+        return;
+      }
+      console.log();
+      settings.forEach((setting) => {
+        const fallback = configValue(setting.default, setting.unit);
+        console.log(`${chalk.bold(setting.key.replace(/_/g, '-'))} ${chalk.gray(`(${setting.type}, default ${fallback})`)}`);
+        console.log(`  ${setting.description}`);
+        console.log(`  Current: ${chalk.cyan(configValue(setting.value, setting.unit))} ${chalk.gray(`from ${configSource(setting.source)}, override with ${setting.env}`)}`);
+        console.log();
+      });
+    } catch (error) {
+      fail(error);
     }
   });
 
@@ -1,46 +1,360 @@
+const fs = require('fs');
 const Storage = require('./storage');
+const { parseDuration } = require('./duration');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { HandlerRegistry, HANDLER_MODES } = require('./handlers');
+const retry = require('./retry');
+
+const MISFIRE_POLICIES = ['skip', 'fire-once', 'fire-all'];
+const DEPENDENCY_FAILURE_POLICIES = ['fail', 'cancel'];
+
+// Terminal states that retention can purge
+const RETENTION_STATES = ['completed', 'dead', 'cancelled'];
+
+// Project-level settings, read from the directory queuectl runs in
+const RC_FILE = '.queuectlrc';
+const ENV_PREFIX = 'QUEUECTL_';
+
+// Value types. parse() validates a value from the CLI, the API, the environment or
+// .queuectlrc and returns it as stored; decode() turns a stored value back into what
+// the getters return.
+const TYPES = {
+  integer: {
+    parse: (value, name, spec) => {
+      const num = Number(value);
+      if (String(value).trim() === '' || !Number.isInteger(num) || num < spec.min) {
+        throw new ValidationError(`${name} must be an integer >= ${spec.min}`);
+      }
+      return num.toString();
+    },
+    decode: Number
+  },
+  number: {
+    parse: (value, name) => retry.parseBase(value, name).toString(),
+    decode: Number
+  },
+  // Seconds, or a duration such as "10m"; stored as whole seconds
+  duration: {
+    parse: (value) => Math.ceil(parseDuration(value) / 1000).toString(),
+    decode: Number
+  },
+  // Like duration, but kept to the millisecond
+  delay: {
+    parse: (value, name) => retry.parseDelay(value, name).toString(),
+    decode: Number
+  },
+  fraction: {
+    parse: (value, name) => retry.parseJitter(value, name).toString(),
+    decode: Number
+  },
+  enum: {
+    parse: (value, name, spec) => {
+      if (!spec.values.includes(value)) {
+        throw new ValidationError(`${name} must be one of: ${spec.values.join(', ')}`);
+      }
+      return value;
+    },
+    decode: value => value
+  },
+  'exit-codes': {
+    parse: (value, name) => retry.parseExitCodes(value, name).join(','),
+    decode: value => value.split(',').map(Number)
+  },
+  // Stored absolute, so every worker finds it whatever directory it runs in;
+  // an empty string clears the setting
+  path: {
+    parse: (value, name, spec) => {
+      const source = String(value).trim() ? path.resolve(String(value).trim()) : '';
+      if (source && spec.validate) {
+        spec.validate(source);
+      }
+      return source;
+    },
+    decode: value => value
+  }
+};
+
+// Every setting: its type, default (as stored, null for none) and what it does.
+// Adding an entry here is all a new setting needs: `config set/get/unset/describe`,
+// the API, QUEUECTL_<KEY> and .queuectlrc all go by this schema.
+const SCHEMA = {
+  max_retries: {
+    type: 'integer', min: 0, default: '3',
+    description: 'Attempts a job gets before it moves to the DLQ'
+  },
+  backoff_base: {
+    type: 'number', default: '2',
+    description: 'Growth factor of exponential retry delays'
+  },
+  retry_strategy: {
+    type: 'enum', values: retry.STRATEGIES, default: 'exponential',
+    description: 'How retry delays grow: fixed, linear or exponential'
+  },
+  retry_delay: {
+    type: 'delay', unit: 's', default: null,
+    description: 'Delay before the first retry; when not set, backoff_base seconds'
+  },
+  retry_max_delay: {
+    type: 'delay', unit: 's', default: '0',
+    description: 'Longest delay between retries; 0 for no cap'
+  },
+  retry_jitter: {
+    type: 'fraction', default: '0',
+    description: 'Fraction of each retry delay randomized away (0 to 1)'
+  },
+  retry_on_exit_codes: {
+    type: 'exit-codes', default: null,
+    description: 'Only retry these exit codes; empty retries all of them'
+  },
+  no_retry_exit_codes: {
+    type: 'exit-codes', default: null,
+    description: 'Exit codes that move a job straight to the DLQ'
+  },
+  lease_duration: {
+    type: 'integer', min: 1, unit: 's', default: '30',
+    description: 'Seconds a worker holds a job without heartbeating before it is reclaimed'
+  },
+  misfire_policy: {
+    type: 'enum', values: MISFIRE_POLICIES, default: 'fire-once',
+    description: 'What recurring jobs do with ticks missed while no worker ran'
+  },
+  job_timeout: {
+    type: 'duration', unit: 's', default: '30',
+    description: 'Default time limit for a job; 0 disables it'
+  },
+  max_output_bytes: {
+    type: 'integer', min: 1, default: '1048576',
+    description: 'Output kept per stream and attempt'
+  },
+  result_tail_bytes: {
+    type: 'integer', min: 0, default: '4096',
+    description: 'End of stdout kept as the result of a command that prints no result line'
+  },
+  dependency_failure_policy: {
+    type: 'enum', values: DEPENDENCY_FAILURE_POLICIES, default: 'fail',
+    description: 'What happens to dependents of a job that fails for good'
+  },
+  ...Object.fromEntries(RETENTION_STATES.map(state => [`retention_${state}`, {
+    type: 'duration', unit: 's', default: '0',
+    description: `How long ${state} jobs are kept before workers purge them; 0 keeps them forever`
+  }])),
+  retention_archive: {
+    type: 'path', default: null,
+    description: 'NDJSON file purged jobs are appended to'
+  },
+  handlers: {
+    type: 'path', default: null, validate: source => HandlerRegistry.load(source),
+    description: 'Directory or JSON file of Node.js handlers for typed jobs'
+  },
+  handler_mode: {
+    type: 'enum', values: HANDLER_MODES, default: 'thread',
+    description: 'Whether handlers run in a worker thread or in the worker process'
+  }
+};
 
 class Config {
-  constructor() {
-    this.storage = new Storage();
+  // Pass a Storage to share its connection instead of opening another one
+  constructor(storage = null) {
+    this.storage = storage || new Storage();
+    this.rcValues = null;
+  }
+
+  // The setting's stored name for a key given as "max-retries" or "max_retries"
+  static resolveKey(key) {
+    const name = String(key).replace(/-/g, '_');
+    if (!Object.prototype.hasOwnProperty.call(SCHEMA, name)) {
+      const keys = Object.keys(SCHEMA).map(k => k.replace(/_/g, '-'));
+      throw new ValidationError(`Unknown config key: ${key}. Use one of: ${keys.join(', ')}`);
+    }
+    return name;
+  }
+
+  static envName(name) {
+    return `${ENV_PREFIX}${name.toUpperCase()}`;
+  }
+
+  static parse(name, value, label = name) {
+    const spec = SCHEMA[name];
+    return TYPES[spec.type].parse(value, label, spec);
   }
 
+  // Values from .queuectlrc, a JSON object of settings, validated once when first needed
+  rc() {
+    if (this.rcValues) {
+      return this.rcValues;
+    }
+    const file = path.join(process.cwd(), RC_FILE);
+    const values = {};
+    if (fs.existsSync(file)) {
+      let settings;
+      try {
+        settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new ValidationError(`Invalid ${RC_FILE}: ${error.message}`);
+      }
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ValidationError(`${RC_FILE} must be a JSON object of settings`);
+      }
+      for (const [key, value] of Object.entries(settings)) {
+        const name = key.replace(/-/g, '_');
+        if (!Object.prototype.hasOwnProperty.call(SCHEMA, name)) {
+          throw new ValidationError(`Unknown config key in ${RC_FILE}: ${key}`);
+        }
+        values[name] = Config.parse(name, value, `${key} in ${RC_FILE}`);
+      }
+    }
+    this.rcValues = values;
+    return values;
+  }
+
+  // The value in effect and where it comes from: QUEUECTL_<KEY> overrides `config set`,
+  // which overrides .queuectlrc, which overrides the default
+  lookup(key) {
+    const name = Config.resolveKey(key);
+    const envName = Config.envName(name);
+    if (process.env[envName] !== undefined) {
+      return { value: Config.parse(name, process.env[envName], envName), source: 'env' };
+    }
+    const stored = this.storage.getConfig(name);
+    if (stored !== null) {
+      return { value: stored, source: 'db' };
+    }
+    const rc = this.rc();
+    if (rc[name] !== undefined) {
+      return { value: rc[name], source: 'rc' };
+    }
+    return { value: SCHEMA[name].default, source: 'default' };
+  }
+
+  // The value in effect, as stored (a string), or null when it is not set
   get(key) {
-    return this.storage.getConfig(key);
+    return this.lookup(key).value;
   }
 
-  set(key, value) {
-    this.storage.setConfig(key, value);
+  // The value in effect, decoded to its type
+  value(key) {
+    const name = Config.resolveKey(key);
+    const raw = this.get(name);
+    return raw === null || raw === '' ? null : TYPES[SCHEMA[name].type].decode(raw);
   }
 
+  // Every setting's value in effect
   getAll() {
-    return this.storage.getAllConfig();
+    const all = {};
+    Object.keys(SCHEMA).forEach(name => {
+      all[name] = this.get(name);
+    });
+    return all;
+  }
+
+  // Validate and store a value by key. Returns the value as stored.
+  setKey(key, value) {
+    const name = Config.resolveKey(key);
+    const stored = Config.parse(name, value);
+    this.storage.setConfig(name, stored);
+    return stored;
+  }
+
+  // Remove a value set with setKey, going back to .queuectlrc or the default.
+  // Returns whether there was one.
+  unsetKey(key) {
+    return this.storage.deleteConfig(Config.resolveKey(key));
+  }
+
+  // Schema, value in effect and its source, for one setting or all of them
+  describe(key = null) {
+    const names = key === null ? Object.keys(SCHEMA) : [Config.resolveKey(key)];
+    return names.map(name => {
+      const spec = SCHEMA[name];
+      const { value, source } = this.lookup(name);
+      return {
+        key: name,
+        type: spec.type === 'enum' ? spec.values.join('|') : spec.type,
+        unit: spec.unit || '',
+        default: spec.default,
+        value,
+        source,
+        env: Config.envName(name),
+        description: spec.description
+      };
+    });
   }
 
   getMaxRetries() {
-    return parseInt(this.get('max_retries') || '3', 10);
+    return this.value('max_retries');
   }
 
   getBackoffBase() {
-    return parseFloat(this.get('backoff_base') || '2');
+    return this.value('backoff_base');
   }
 
-  setMaxRetries(value) {
-    const num = parseInt(value, 10);
-    if (isNaN(num) || num < 0) {
-      throw new Error('max_retries must be a non-negative integer');
-    }
-    this.set('max_retries', num.toString());
+  // The retry policy for jobs that do not set their own; see src/retry.js.
+  // Without retry_delay the first retry waits backoff_base seconds.
+  getRetryPolicy() {
+    return {
+      strategy: this.value('retry_strategy'),
+      delay: this.value('retry_delay'),
+      max_delay: this.value('retry_max_delay'),
+      base: this.getBackoffBase(),
+      jitter: this.value('retry_jitter'),
+      retry_on: this.value('retry_on_exit_codes') || [],
+      no_retry: this.value('no_retry_exit_codes') || []
+    };
   }
 
-  setBackoffBase(value) {
-    const num = parseFloat(value);
-    if (isNaN(num) || num <= 0) {
-      throw new Error('backoff_base must be a positive number');
-    }
-    this.set('backoff_base', num.toString());
+  getLeaseDuration() {
+    return this.value('lease_duration');
+  }
+
+  getJobTimeout() {
+    return this.value('job_timeout');
+  }
+
+  getMaxOutputBytes() {
+    return this.value('max_output_bytes');
+  }
+
+  // How much of the end of a command's stdout is kept as its result when it prints no result line
+  getResultTailBytes() {
+    return this.value('result_tail_bytes');
+  }
+
+  getMisfirePolicy() {
+    return this.value('misfire_policy');
+  }
+
+  getDependencyFailurePolicy() {
+    return this.value('dependency_failure_policy');
+  }
+
+  // Seconds a job in a terminal state is kept before workers purge it; 0 keeps it forever
+  getRetention(state) {
+    return this.value(`retention_${state}`);
+  }
+
+  // File that purged jobs are appended to, or null to not archive them
+  getRetentionArchive() {
+    return this.value('retention_archive');
+  }
+
+  // Directory or JSON file of job type handlers, or null when there are none
+  getHandlers() {
+    return this.value('handlers');
+  }
+
+  // Whether handlers run in a worker thread or in the worker process itself
+  getHandlerMode() {
+    return this.value('handler_mode');
+  }
+
+  static retentionStates() {
+    return [...RETENTION_STATES];
+  }
+
+  static validateMisfirePolicy(value) {
+    Config.parse('misfire_policy', value);
   }
 }
 
 module.exports = Config;
-
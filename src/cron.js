@@ -0,0 +1,150 @@
+const { ValidationError } = require('./errors');
+
+// Minimal 5-field cron expression support: "minute hour day-of-month month day-of-week"
+// Each field accepts *, numbers, ranges (1-5), steps (*/15, 1-30/5), lists (1,15,30)
+// and month/day names (jan, mon). Times are evaluated in the local timezone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_YEARS_AHEAD = 5;
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ValidationError(`Invalid ${field.name} value '${value}'`);
+  }
+  const num = parseInt(value, 10);
+  if (num < field.min || num > field.max) {
+    throw new ValidationError(`${field.name} value ${num} out of range ${field.min}-${field.max}`);
+  }
+  return num;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new ValidationError(`Invalid step '${stepText}' in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new ValidationError(`Invalid range '${rangeText}' in ${field.name}`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const parts = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got '${expression}'`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like Vixie cron: when both day fields are restricted, a day matching either one runs.
+    // A field starting with * (such as */2) does not count as restricted.
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+// Next time strictly after `from` that matches the expression
+function nextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_YEARS_AHEAD);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new ValidationError(`Cron expression '${expression}' never matches`);
+}
+
+module.exports = { parseCron, nextRun };
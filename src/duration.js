@@ -0,0 +1,29 @@
+const { ValidationError } = require('./errors');
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parse a duration such as "500ms", "30s", "10m", "2h" or "7d" into milliseconds.
+// A bare number is taken as seconds.
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`Invalid duration: ${value}`);
+    }
+    return value * UNITS.s;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/.exec(String(value));
+  if (!match) {
+    throw new ValidationError(`Invalid duration: ${value} (use e.g. 30s, 10m, 2h, 7d)`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[match[2] || 's']);
+}
+
+module.exports = { parseDuration };
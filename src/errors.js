@@ -0,0 +1,22 @@
+// Error types that callers (the CLI, the HTTP API) can tell apart
+
+class QueueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// The input is malformed: bad job JSON, config value, duration...
+class ValidationError extends QueueError {}
+
+// The job (or schedule) does not exist
+class NotFoundError extends QueueError {}
+
+// The request clashes with the current state: duplicate id, job already finished...
+class ConflictError extends QueueError {}
+
+// Gave up waiting, e.g. for a job to finish
+class TimeoutError extends QueueError {}
+
+module.exports = { QueueError, ValidationError, NotFoundError, ConflictError, TimeoutError };
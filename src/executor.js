@@ -0,0 +1,251 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+// Collects a stream's output up to a byte cap and counts what had to be dropped
+class OutputBuffer {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.size = 0;
+    this.droppedBytes = 0;
+  }
+
+  write(chunk) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    const room = Math.max(this.maxBytes - this.size, 0);
+
+    if (room > 0) {
+      const kept = data.length > room ? data.subarray(0, room) : data;
+      this.chunks.push(kept);
+      this.size += kept.length;
+    }
+    this.droppedBytes += Math.max(data.length - room, 0);
+  }
+
+  get truncated() {
+    return this.droppedBytes > 0;
+  }
+
+  // The marker is only added once the stream is finished, so that the
+  // text stored while a job is running only ever grows by appending
+  toString(finished = false) {
+    let text = Buffer.concat(this.chunks).toString('utf8');
+    if (finished && this.truncated) {
+      text += `\n[... output truncated, ${this.droppedBytes} more bytes ...]\n`;
+    }
+    return text;
+  }
+}
+
+// A command hands back a structured result by printing a line such as
+//   QUEUECTL_RESULT {"rows": 42}
+const RESULT_MARKER = Buffer.from('QUEUECTL_RESULT ');
+// Longer marker lines are ignored rather than buffered
+const MAX_MARKER_LINE_BYTES = 1024 * 1024;
+
+// Works out a command's result from its stdout as it streams: the JSON of the last
+// valid marker line, or else the last `tailBytes` of the output as a string.
+// Only lines that start with the marker are buffered.
+class ResultCapture {
+  constructor(tailBytes) {
+    this.tailBytes = tailBytes;
+    this.tail = Buffer.alloc(0);
+    this.line = [];
+    this.lineSize = 0;
+    this.skipLine = false;
+    this.marker = null;
+  }
+
+  write(chunk) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+    this.tail = Buffer.concat([this.tail, data]);
+    if (this.tail.length > this.tailBytes) {
+      this.tail = this.tail.subarray(this.tail.length - this.tailBytes);
+    }
+
+    let start = 0;
+    for (;;) {
+      const newline = data.indexOf(10, start);
+      this.appendLine(data.subarray(start, newline === -1 ? data.length : newline));
+      if (newline === -1) {
+        break;
+      }
+      this.endLine();
+      start = newline + 1;
+    }
+  }
+
+  appendLine(part) {
+    if (this.skipLine || part.length === 0) {
+      return;
+    }
+    this.line.push(part);
+    this.lineSize += part.length;
+
+    const head = Buffer.concat(this.line).subarray(0, RESULT_MARKER.length);
+    if (!RESULT_MARKER.subarray(0, head.length).equals(head) || this.lineSize > MAX_MARKER_LINE_BYTES) {
+      this.skipLine = true;
+      this.line = [];
+    } else if (this.line.length > 1) {
+      this.line = [Buffer.concat(this.line)];
+    }
+  }
+
+  endLine() {
+    if (!this.skipLine && this.lineSize > RESULT_MARKER.length) {
+      const text = Buffer.concat(this.line).subarray(RESULT_MARKER.length).toString('utf8').trim();
+      try {
+        this.marker = JSON.stringify(JSON.parse(text));
+      } catch (error) {
+        // Not JSON after all; keep the previous marker, if any
+      }
+    }
+    this.line = [];
+    this.lineSize = 0;
+    this.skipLine = false;
+  }
+
+  // The result as JSON text, or null when there was no output at all
+  serialize() {
+    this.endLine();
+    if (this.marker !== null) {
+      return this.marker;
+    }
+    return this.tail.length > 0 ? JSON.stringify(this.tail.toString('utf8')) : null;
+  }
+}
+
+// Time a job gets to exit after SIGTERM before its process group is SIGKILLed
+const KILL_GRACE_MS = 2000;
+
+// Send a signal to the whole process group of a detached child, so that
+// processes started by the shell die with it
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    // The group is already gone
+  }
+}
+
+// Run a command in its own process group, capturing its output into the given
+// OutputBuffers. The command goes through a shell unless `args` is given, in which
+// case it is the program run with those arguments. `input` is written to stdin.
+// Resolves once it exits successfully; rejects with an error carrying code (exit
+// code), signal, timedOut and cancelled otherwise.
+// The returned promise has a cancel() method that kills the running command.
+function runCommand(command, options = {}) {
+  const { timeout = 0, stdout, stderr, onOutput, args = null, cwd, env, input = null } = options;
+  const label = args ? [command, ...args].join(' ') : command;
+  let cancel = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    if (cwd && !fs.existsSync(cwd)) {
+      reject(new Error(`Working directory does not exist: ${cwd}`));
+      return;
+    }
+
+    const spawnOptions = {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      detached: true,
+      stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    };
+    const child = args ? spawn(command, args, spawnOptions) : spawn(command, { ...spawnOptions, shell: true });
+
+    if (input !== null) {
+      // The command may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+
+    let timedOut = false;
+    let cancelled = false;
+    let timeoutTimer = null;
+    let killTimer = null;
+
+    const terminate = () => {
+      killProcessGroup(child, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+    };
+
+    if (timeout > 0) {
+      timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        terminate();
+      }, timeout);
+    }
+
+    cancel = () => {
+      if (!cancelled && !timedOut) {
+        cancelled = true;
+        clearTimeout(timeoutTimer);
+        terminate();
+      }
+    };
+
+    child.stdout.on('data', (chunk) => {
+      stdout.write(chunk);
+      if (onOutput) {
+        onOutput();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr.write(chunk);
+      if (onOutput) {
+        onOutput();
+      }
+    });
+
+    const finish = (error) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve({ code: 0 });
+      }
+    };
+
+    child.on('error', (error) => {
+      // Only happens without a shell, e.g. for a program that does not exist
+      const spawnError = new Error(`Failed to start ${label}: ${error.message}`);
+      spawnError.code = null;
+      finish(spawnError);
+    });
+
+    child.on('close', (code, signal) => {
+      if (timedOut || cancelled) {
+        // Make sure nothing the command started outlives it
+        killProcessGroup(child, 'SIGKILL');
+        const error = timedOut
+          ? new Error(`Timed out after ${timeout / 1000}s: ${label}`)
+          : new Error(`Cancelled while running: ${label}`);
+        error.timedOut = timedOut;
+        error.cancelled = cancelled;
+        // Whatever the command exited with once killed is not its own verdict, and must
+        // not match exit code retry rules
+        error.code = null;
+        error.signal = signal;
+        finish(error);
+        return;
+      }
+      if (code === 0) {
+        finish(null);
+        return;
+      }
+
+      const output = stderr.toString().trim();
+      const error = new Error(`Command failed: ${label}${output ? `\n${output}` : ''}`);
+      error.code = code;
+      error.signal = signal;
+      finish(error);
+    });
+  });
+
+  promise.cancel = () => cancel();
+  return promise;
+}
+
+module.exports = { OutputBuffer, ResultCapture, runCommand };
@@ -0,0 +1,27 @@
+// Worker thread entry point: runs one handler and posts back { result } or { error }
+const { parentPort, workerData } = require('worker_threads');
+const util = require('util');
+const { loadHandler, serializeResult } = require('./handlers');
+
+const controller = new AbortController();
+parentPort.on('message', (message) => {
+  if (message === 'abort') {
+    controller.abort();
+  }
+});
+
+const ctx = {
+  ...workerData.context,
+  signal: controller.signal,
+  log: (...args) => process.stdout.write(`${util.format(...args)}\n`)
+};
+
+Promise.resolve()
+  .then(() => loadHandler(workerData.module)(workerData.payload, ctx))
+  .then(value => ({ result: serializeResult(value) }))
+  .catch(error => ({ error: error && error.message ? error.message : String(error) }))
+  .then((message) => {
+    parentPort.postMessage(message);
+    // Leftover timers or sockets must not keep the thread alive
+    process.exit(0);
+  });
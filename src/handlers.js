@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { Worker } = require('worker_threads');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const HANDLER_MODES = ['thread', 'inline'];
+// Time a handler thread gets to wind down after its abort signal fires, as for commands
+const KILL_GRACE_MS = 2000;
+
+function validateType(type) {
+  if (typeof type !== 'string' || !/^[A-Za-z0-9._-]+$/.test(type)) {
+    throw new ValidationError(`Invalid job type ${JSON.stringify(type)}: use letters, digits, ".", "_" and "-"`);
+  }
+  return type;
+}
+
+function validateMode(mode) {
+  if (!HANDLER_MODES.includes(mode)) {
+    throw new ValidationError(`handler mode must be one of: ${HANDLER_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Modification time of each handler module when it was last required
+const loadedVersions = new Map();
+
+// The function a handler module exports: the module itself, or its `handler` or `default` export.
+// A module edited since it was required is loaded again, so that inline handlers pick up
+// changes without restarting the worker. Only the handler's own file is reloaded, not
+// the modules it requires.
+function loadHandler(modulePath) {
+  const version = fs.existsSync(modulePath) ? fs.statSync(modulePath).mtimeMs : null;
+  if (require.cache[modulePath] && loadedVersions.get(modulePath) !== version) {
+    delete require.cache[modulePath];
+  }
+  loadedVersions.set(modulePath, version);
+  const exported = require(modulePath);
+  const handler = typeof exported === 'function' ? exported : exported && (exported.handler || exported.default);
+  if (typeof handler !== 'function') {
+    throw new Error(`${modulePath} does not export a handler function`);
+  }
+  return handler;
+}
+
+// Handlers return any JSON value; undefined is stored as null
+function serializeResult(value) {
+  try {
+    return JSON.stringify(value === undefined ? null : value);
+  } catch (error) {
+    throw new Error(`Handler result is not JSON serializable: ${error.message}`);
+  }
+}
+
+function taskError(message, flags) {
+  const error = new Error(message);
+  error.code = null;
+  error.signal = null;
+  return Object.assign(error, flags);
+}
+
+// Maps job types to the Node modules that handle them. Loaded from either a directory,
+// where each <type>.js file is the handler for <type>, or a JSON file mapping types to
+// module paths (relative to the file) or to {"module": ..., "mode": "thread"|"inline"}.
+class HandlerRegistry {
+  constructor(handlers = {}) {
+    this.handlers = handlers; // type -> { module, mode, base }
+  }
+
+  static load(source, defaultMode = 'thread') {
+    if (!source) {
+      return new HandlerRegistry();
+    }
+    if (!fs.existsSync(source)) {
+      throw new NotFoundError(`Handlers not found: ${source}`);
+    }
+
+    const handlers = {};
+    if (fs.statSync(source).isDirectory()) {
+      for (const file of fs.readdirSync(source).sort()) {
+        const match = /^([A-Za-z0-9._-]+)\.c?js$/.exec(file);
+        if (match) {
+          handlers[match[1]] = { module: `./${file}`, mode: defaultMode, base: source };
+        }
+      }
+      return new HandlerRegistry(handlers);
+    }
+
+    let map;
+    try {
+      map = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new ValidationError(`Invalid handlers file ${source}: ${error.message}`);
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      throw new ValidationError(`Handlers file ${source} must map job types to modules`);
+    }
+    for (const [type, entry] of Object.entries(map)) {
+      validateType(type);
+      const spec = typeof entry === 'string' ? { module: entry } : entry;
+      if (!spec || typeof spec.module !== 'string') {
+        throw new ValidationError(`Handler ${type} must be a module path or {"module": ..., "mode": ...}`);
+      }
+      handlers[type] = {
+        module: spec.module,
+        mode: spec.mode === undefined ? defaultMode : validateMode(spec.mode),
+        base: path.dirname(source)
+      };
+    }
+    return new HandlerRegistry(handlers);
+  }
+
+  has(type) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, type);
+  }
+
+  // { type, module, mode } with the module resolved to a file
+  get(type) {
+    if (!this.has(type)) {
+      throw new NotFoundError(`No handler registered for job type ${type}`);
+    }
+    const { module, mode, base } = this.handlers[type];
+    const request = module.startsWith('.') || path.isAbsolute(module) ? path.resolve(base, module) : module;
+    try {
+      return { type, module: require.resolve(request, { paths: [base] }), mode };
+    } catch (error) {
+      throw new NotFoundError(`Cannot find module ${module} for job type ${type}`);
+    }
+  }
+
+  list() {
+    return Object.keys(this.handlers).map(type => {
+      const { module, mode } = this.handlers[type];
+      return { type, module, mode };
+    });
+  }
+}
+
+// Run a handler for a job, in-process or in a worker thread, with the same contract as
+// runCommand: resolves with { result } (the returned value as JSON), or rejects with an
+// error carrying timedOut and cancelled. Whatever it logs goes into the stdout/stderr
+// buffers. The returned promise has a cancel() method.
+//
+// A handler receives (payload, ctx) where ctx has jobId, attempt, env, log() and an
+// AbortSignal that fires on timeout or cancellation. Only a thread can be stopped;
+// an inline handler that ignores the signal keeps running in the background. The
+// promise's `done` resolves once the handler code has really stopped.
+function runHandler(handler, job, options = {}) {
+  const { timeout = 0, stdout, stderr, onOutput, attempt } = options;
+  const context = { jobId: job.id, attempt, env: job.env || {} };
+  let stop = () => {};
+  let done = null;
+
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+    let timeoutTimer = null;
+
+    const settle = (error, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutTimer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const output = (buffer) => (chunk) => {
+      buffer.write(chunk);
+      if (onOutput) {
+        onOutput();
+      }
+    };
+
+    if (handler.mode === 'inline') {
+      const controller = new AbortController();
+      let warnTimer = null;
+      stop = (error) => {
+        if (settled) {
+          return;
+        }
+        controller.abort();
+        settle(error);
+        warnTimer = setTimeout(() => {
+          console.error(`Inline handler ${job.type} for job ${job.id} ignored its abort signal and is still running; its slot stays busy until it returns`);
+        }, KILL_GRACE_MS);
+      };
+      const ctx = {
+        ...context,
+        signal: controller.signal,
+        log: (...args) => output(stdout)(`${util.format(...args)}\n`)
+      };
+      const running = Promise.resolve()
+        .then(() => loadHandler(handler.module)(job.payload, ctx));
+      running
+        .then(value => settle(null, { result: serializeResult(value) }))
+        .catch(error => settle(error));
+      done = running.then(() => {}, () => {}).then(() => clearTimeout(warnTimer));
+    } else {
+      const thread = new Worker(path.join(__dirname, 'handler-thread.js'), {
+        workerData: { module: handler.module, payload: job.payload, context },
+        env: { ...process.env, ...context.env },
+        stdout: true,
+        stderr: true
+      });
+      let message = null;
+      let killTimer = null;
+      done = new Promise(resolve => thread.once('exit', resolve)).then(() => {});
+
+      thread.stdout.on('data', output(stdout));
+      thread.stderr.on('data', output(stderr));
+      thread.on('message', (data) => {
+        message = data;
+      });
+      thread.on('error', error => settle(error));
+      thread.on('exit', (code) => {
+        clearTimeout(killTimer);
+        if (message && message.error) {
+          settle(taskError(message.error));
+        } else if (message) {
+          settle(null, { result: message.result });
+        } else {
+          settle(taskError(`Handler thread for ${job.type} exited with code ${code}`));
+        }
+      });
+
+      stop = (error) => {
+        if (settled) {
+          return;
+        }
+        thread.postMessage('abort');
+        killTimer = setTimeout(() => thread.terminate(), KILL_GRACE_MS);
+        settle(error);
+      };
+    }
+
+    if (timeout > 0) {
+      timeoutTimer = setTimeout(() => {
+        stop(taskError(`Timed out after ${timeout / 1000}s: handler ${job.type}`, { timedOut: true }));
+      }, timeout);
+    }
+  });
+
+  promise.done = done;
+  promise.cancel = () => stop(taskError(`Cancelled while running: handler ${job.type}`, { cancelled: true }));
+  return promise;
+}
+
+module.exports = { HandlerRegistry, runHandler, loadHandler, serializeResult, validateType, validateMode, HANDLER_MODES };
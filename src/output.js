@@ -0,0 +1,64 @@
+const { ValidationError, NotFoundError, ConflictError, TimeoutError } = require('./errors');
+
+const FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+// Process exit codes, documented in the README
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  invalid: 2,
+  notFound: 3,
+  conflict: 4,
+  timeout: 5
+};
+
+function exitCodeFor(error) {
+  // SyntaxError comes from malformed JSON arguments
+  if (error instanceof ValidationError || error instanceof SyntaxError) {
+    return EXIT_CODES.invalid;
+  }
+  if (error instanceof NotFoundError) {
+    return EXIT_CODES.notFound;
+  }
+  if (error instanceof ConflictError) {
+    return EXIT_CODES.conflict;
+  }
+  if (error instanceof TimeoutError) {
+    return EXIT_CODES.timeout;
+  }
+  return EXIT_CODES.error;
+}
+
+function validateFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid format '${format}'. Use one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render data for the machine-readable formats. Lists become one line / row per
+// item; a single object is a one-line document (ndjson) or a one-row table (csv).
+// `columns` fixes the CSV header so it does not depend on the data.
+function render(format, data, columns = null) {
+  const rows = Array.isArray(data) ? data : [data];
+
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+  if (format === 'ndjson') {
+    return rows.map(row => JSON.stringify(row)).join('\n');
+  }
+
+  const header = columns || Object.keys(rows[0] || {});
+  return [header.map(csvField).join(','), ...rows.map(row => header.map(key => csvField(row[key])).join(','))].join('\n');
+}
+
+module.exports = { FORMATS, EXIT_CODES, exitCodeFor, validateFormat, render };
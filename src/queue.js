@@ -1,128 +1,826 @@
+const fs = require('fs');
+const path = require('path');
 const Storage = require('./storage');
 const Config = require('./config');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { OutputBuffer, ResultCapture, runCommand } = require('./executor');
+const { HandlerRegistry, runHandler, validateType } = require('./handlers');
+const { parseDuration } = require('./duration');
+const { parseRetryPolicy, shouldRetry, retryDelay } = require('./retry');
+const { ValidationError, NotFoundError, ConflictError, TimeoutError } = require('./errors');
+const { ulid } = require('./ulid');
+
+const LOG_FLUSH_INTERVAL = 500;
+const CANCEL_POLL_INTERVAL = 1000;
+// Larger payloads are only passed on stdin; a single environment variable is limited to 128KB on Linux
+const MAX_PAYLOAD_ENV_BYTES = 64 * 1024;
+
+// States in which a job is still waiting to run
+const WAITING_STATES = ['blocked', 'scheduled', 'pending', 'failed'];
+
+// Terminal states a dependency can end in without completing
+const ABANDONED_STATES = ['dead', 'cancelled'];
+
+const TERMINAL_STATES = ['completed', ...ABANDONED_STATES];
+
+// What enqueue does when a job with the same id or idempotency key exists
+const IF_EXISTS_POLICIES = ['error', 'ignore', 'replace'];
+
+// Jobs deleted per transaction by purge(), so workers are not locked out for long
+const PURGE_BATCH_SIZE = 500;
+
+// Run fn every `ms` milliseconds while a job runs. A failing tick, such as SQLITE_BUSY
+// while another connection holds a write lock for longer than the busy timeout, is
+// logged and retried on the next one instead of crashing the worker.
+function everyInterval(ms, description, fn) {
+  return setInterval(() => {
+    try {
+      fn();
+    } catch (error) {
+      console.error(`Could not ${description}, retrying:`, error.message);
+    }
+  }, ms);
+}
+
+function parsePriority(value) {
+  const num = Number(value);
+  if (!Number.isInteger(num)) {
+    throw new ValidationError('priority must be an integer');
+  }
+  return num;
+}
+
+// Job timeouts are given in seconds, or as a duration such as "10m"; 0 disables the timeout
+function parseTimeout(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new ValidationError('timeout must be a number of seconds or a duration such as "10m"');
+  }
+  return Math.ceil(parseDuration(value) / 1000);
+}
+
+function parseDependsOn(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !id)) {
+    throw new ValidationError('depends_on must be an array of job ids');
+  }
+  return [...new Set(value)];
+}
+
+function validateQueueName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9._-]+$/.test(name)) {
+    throw new ValidationError(`Invalid queue name ${JSON.stringify(name)}: use letters, digits, ".", "_" and "-"`);
+  }
+  return name;
+}
+
+// args: the command is then run as a program with these arguments, without a shell
+function parseArgs(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(arg => !['string', 'number', 'boolean'].includes(typeof arg))) {
+    throw new ValidationError('args must be an array of strings');
+  }
+  return value.map(String);
+}
+
+function parseEnv(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError('env must be an object of variable names to values');
+  }
+  const env = {};
+  for (const [name, variable] of Object.entries(value)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new ValidationError(`Invalid environment variable name ${JSON.stringify(name)}`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof variable)) {
+      throw new ValidationError(`env.${name} must be a string, number or boolean`);
+    }
+    env[name] = String(variable);
+  }
+  return env;
+}
+
+// Relative working directories are taken relative to where the job is enqueued, not
+// to wherever the worker runs
+function parseCwd(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError('cwd must be a non-empty path');
+  }
+  return path.resolve(value);
+}
+
+// State a job enters once nothing blocks it anymore
+function readyState(runAt) {
+  return runAt && runAt > new Date().toISOString() ? 'scheduled' : 'pending';
+}
+
+// Resolve the run_at / delay fields of a job into an ISO timestamp, or null to run right away
+function parseRunAt(jobData) {
+  if (jobData.run_at !== undefined && jobData.delay !== undefined) {
+    throw new ValidationError('Job cannot have both run_at and delay');
+  }
+  if (jobData.delay !== undefined) {
+    return new Date(Date.now() + parseDuration(jobData.delay)).toISOString();
+  }
+  if (jobData.run_at !== undefined) {
+    const runAt = new Date(jobData.run_at);
+    if (typeof jobData.run_at !== 'string' || isNaN(runAt.getTime())) {
+      throw new ValidationError(`run_at must be an ISO timestamp, got ${JSON.stringify(jobData.run_at)}`);
+    }
+    return runAt.toISOString();
+  }
+  return null;
+}
+
+// A created-before/after bound: an ISO timestamp, or a duration meaning that long ago
+function parseTimeBound(value, name) {
+  if (/^\s*\d+(\.\d+)?\s*(ms|s|m|h|d|w)\s*$/.test(String(value))) {
+    return new Date(Date.now() - parseDuration(value)).toISOString();
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be an ISO timestamp or a duration such as "2h", got ${JSON.stringify(value)}`);
+  }
+  return date.toISOString();
+}
+
+// Checks on a submitted job that do not depend on what is in the database
+function validateSubmission(jobData) {
+  if (jobData.id !== undefined && (jobData.id === null || jobData.id === '')) {
+    throw new ValidationError('Job id must not be empty; leave it out to generate one');
+  }
+  const key = jobData.idempotency_key;
+  if (key !== undefined && (typeof key !== 'string' || !key)) {
+    throw new ValidationError('idempotency_key must be a non-empty string');
+  }
+  if (jobData.type !== undefined && jobData.command !== undefined) {
+    throw new ValidationError('Job must have either a command or a type, not both');
+  }
+  if (jobData.type === undefined && !jobData.command) {
+    throw new ValidationError('Job must have a command or a type');
+  }
+}
+
+function parseCount(value, name, min) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min) {
+    throw new ValidationError(`${name} must be an integer >= ${min}`);
+  }
+  return num;
+}
+
+// Validate and normalize the filters accepted by list() and count()
+function parseListFilters(filters) {
+  const parsed = { ...filters };
+
+  if (filters.sort) {
+    const [field, direction, extra] = filters.sort.split(':');
+    if (!Storage.sortKeys().includes(field) || extra !== undefined || (direction && !['asc', 'desc'].includes(direction))) {
+      throw new ValidationError(`sort must be one of ${Storage.sortKeys().join(', ')}, optionally followed by :asc or :desc`);
+    }
+  }
+  if (filters.command_regex) {
+    try {
+      new RegExp(filters.command_regex);
+    } catch (error) {
+      throw new ValidationError(`Invalid command regex: ${error.message}`);
+    }
+  }
+  for (const name of ['created_before', 'created_after']) {
+    if (filters[name]) {
+      parsed[name] = parseTimeBound(filters[name], name);
+    }
+  }
+  if (filters.limit !== undefined && filters.limit !== null) {
+    parsed.limit = parseCount(filters.limit, 'limit', 0);
+    // 0 means no limit
+    if (parsed.limit === 0) {
+      parsed.limit = null;
+    }
+  }
+  if (filters.offset !== undefined && filters.offset !== null) {
+    parsed.offset = parseCount(filters.offset, 'offset', 0);
+  }
+  return parsed;
+}
+
+// Split a batch of jobs, given as a JSON array or as NDJSON, into entries that
+// remember where each job came from. Unparseable lines become invalid entries.
+function parseBatch(text) {
+  if (text.trim().startsWith('[')) {
+    let jobs;
+    try {
+      jobs = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON array: ${error.message}`);
+    }
+    if (!Array.isArray(jobs)) {
+      throw new ValidationError('Expected a JSON array of jobs');
+    }
+    return jobs.map((job, i) => ({ location: `item ${i + 1}`, job }));
+  }
+
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push({ location: `line ${i + 1}`, job: JSON.parse(line) });
+    } catch (error) {
+      entries.push({ location: `line ${i + 1}`, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+  return entries;
+}
 
 class Queue {
   constructor() {
     this.storage = new Storage();
-    this.config = new Config();
+    this.config = new Config(this.storage);
+    // Handlers still running after their job finished; see executeJob
+    this.lingering = new Set();
   }
 
-  enqueue(jobData) {
-    if (!jobData.id) {
-      throw new Error('Job must have an id');
-    }
-    if (!jobData.command) {
-      throw new Error('Job must have a command');
+  enqueue(jobData, options = {}) {
+    return this.submit(jobData, options).job;
+  }
+
+  // Enqueue a job, generating a ULID when it has no id. options.ifExists decides what
+  // happens when a job with the same id or idempotency_key exists: 'error' (default),
+  // 'ignore' (keep and return the existing job) or 'replace' (delete it and enqueue
+  // this one, under the existing id unless the new job has its own).
+  // Returns { job, status } with status 'created', 'existing' or 'replaced'.
+  submit(jobData, options = {}) {
+    const ifExists = options.ifExists || 'error';
+    if (!IF_EXISTS_POLICIES.includes(ifExists)) {
+      throw new ValidationError(`if-exists must be one of: ${IF_EXISTS_POLICIES.join(', ')}`);
     }
+    validateSubmission(jobData);
+    const key = jobData.idempotency_key;
+
+    return this.storage.transaction(() => {
+      const byId = jobData.id !== undefined ? this.storage.getJob(jobData.id) : null;
+      const byKey = key !== undefined ? this.storage.getJobByIdempotencyKey(key) : null;
+      // The id and the key can match two different jobs
+      const existing = byId ? [byId] : [];
+      if (byKey && (!byId || byKey.id !== byId.id)) {
+        existing.push(byKey);
+      }
+
+      if (existing.length === 0) {
+        return { job: this.insertJob({ ...jobData, id: jobData.id === undefined ? ulid() : jobData.id }), status: 'created' };
+      }
+      if (ifExists === 'ignore') {
+        return { job: existing[0], status: 'existing' };
+      }
+      if (ifExists === 'error') {
+        throw new ConflictError(byId
+          ? `Job with id ${jobData.id} already exists`
+          : `Job ${byKey.id} already has idempotency key ${key}`);
+      }
+
+      const running = existing.find(job => job.state === 'processing');
+      if (running) {
+        throw new ConflictError(`Job ${running.id} is running and cannot be replaced`);
+      }
+      existing.forEach(job => this.storage.deleteJob(job.id));
+      const id = jobData.id === undefined ? existing[0].id : jobData.id;
+      return { job: this.insertJob({ ...jobData, id }), status: 'replaced' };
+    });
+  }
+
+  // Check a job the way submit() does, without enqueueing it
+  validate(jobData) {
+    validateSubmission(jobData);
+    this.prepareJob(jobData);
+  }
+
+  insertJob(jobData) {
+    const { job, parents } = this.prepareJob(jobData);
+    const created = this.storage.createJob(job);
 
-    const existing = this.storage.getJob(jobData.id);
-    if (existing) {
-      throw new Error(`Job with id ${jobData.id} already exists`);
+    // A dependency that already failed for good means this job can never run
+    const abandoned = parents.find(parent => ABANDONED_STATES.includes(parent.state));
+    if (abandoned) {
+      this.abandonJob(created, abandoned);
+      return this.storage.getJob(created.id);
     }
+    return created;
+  }
+
+  // Validate and normalize the fields of a job; returns it as it would be stored,
+  // with the jobs it depends on
+  prepareJob(jobData) {
+    const runAt = parseRunAt(jobData);
+    const dependsOn = parseDependsOn(jobData.depends_on);
+    const parents = dependsOn.map(parentId => {
+      const parent = this.storage.getJob(parentId);
+      if (!parent) {
+        throw new NotFoundError(`Dependency ${parentId} not found`);
+      }
+      // A replaced job keeps its dependents, which it must not come to depend on
+      if (this.storage.dependsOnTransitively(parentId, jobData.id)) {
+        throw new ValidationError(`Job ${jobData.id} cannot depend on ${parentId}, which depends on it (dependency cycle)`);
+      }
+      return parent;
+    });
+    const blocked = parents.some(parent => parent.state !== 'completed');
 
     const job = {
       id: jobData.id,
-      command: jobData.command,
-      state: 'pending',
+      // Handler jobs have a type instead of a command
+      command: jobData.type === undefined ? jobData.command : '',
+      type: jobData.type === undefined ? null : this.parseType(jobData),
+      state: blocked ? 'blocked' : readyState(runAt),
       attempts: 0,
-      max_retries: jobData.max_retries || this.config.getMaxRetries(),
+      max_retries: jobData.max_retries === undefined ? this.config.getMaxRetries() : parseCount(jobData.max_retries, 'max_retries', 0),
+      priority: jobData.priority === undefined ? 0 : parsePriority(jobData.priority),
+      run_at: runAt,
+      timeout: jobData.timeout === undefined ? null : parseTimeout(jobData.timeout),
+      depends_on: dependsOn,
+      queue: jobData.queue === undefined ? 'default' : validateQueueName(jobData.queue),
+      idempotency_key: jobData.idempotency_key,
+      cwd: parseCwd(jobData.cwd),
+      env: parseEnv(jobData.env),
+      args: parseArgs(jobData.args),
+      payload: jobData.payload,
+      retry: parseRetryPolicy(jobData.retry),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
+    return { job, parents };
+  }
+
+  // Enqueue a batch of jobs (JSON array or NDJSON) in one transaction. Nothing is
+  // enqueued if any job is invalid, or if any id already exists unless
+  // skipDuplicates is set, in which case those jobs are skipped.
+  // Returns { committed, inserted, skipped, invalid }, each entry with its location.
+  enqueueBatch(text, options = {}) {
+    const entries = parseBatch(text);
+    const summary = { committed: false, inserted: [], skipped: [], invalid: [] };
+    if (entries.length === 0) {
+      throw new ValidationError('No jobs in batch');
+    }
 
-    return this.storage.createJob(job);
+    const rollback = new Error('rollback');
+    try {
+      this.storage.transaction(() => {
+        for (const { location, job, error } of entries) {
+          if (error) {
+            summary.invalid.push({ location, error });
+            continue;
+          }
+          if (!job || typeof job !== 'object' || Array.isArray(job)) {
+            summary.invalid.push({ location, error: 'Job must be a JSON object' });
+            continue;
+          }
+          try {
+            summary.inserted.push({ location, id: this.enqueue(job).id });
+          } catch (enqueueError) {
+            if (enqueueError instanceof ConflictError) {
+              summary.skipped.push({ location, id: job.id, error: enqueueError.message });
+            } else if (enqueueError instanceof ValidationError || enqueueError instanceof NotFoundError) {
+              summary.invalid.push({ location, error: enqueueError.message });
+            } else {
+              throw enqueueError;
+            }
+          }
+        }
+
+        if (summary.invalid.length > 0 || (summary.skipped.length > 0 && !options.skipDuplicates)) {
+          throw rollback;
+        }
+      });
+      summary.committed = true;
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+      summary.inserted = [];
+    }
+    return summary;
   }
 
-  async executeJob(job, workerId) {
-    // Lock the job
-    const locked = this.storage.lockJob(job.id, workerId);
-    if (!locked) {
-      return null; // Job was already picked up by another worker
+  // Handlers for typed jobs, read from the `handlers` config on every use so that
+  // running workers pick up changes; edited handler modules are reloaded by loadHandler
+  getHandlers() {
+    return HandlerRegistry.load(this.config.getHandlers(), this.config.getHandlerMode());
+  }
+
+  parseType(jobData) {
+    const type = validateType(jobData.type);
+    if (jobData.args !== undefined || jobData.cwd !== undefined) {
+      throw new ValidationError('args and cwd only apply to jobs with a command');
+    }
+    if (!this.getHandlers().has(type)) {
+      throw new ValidationError(`No handler registered for job type ${type}; see config set handlers`);
     }
+    return type;
+  }
+
+  // Run a job claimed by claimNextJob; its lease is renewed by heartbeat while it runs
+  async executeJob(job, workerId) {
+    const leaseMs = this.config.getLeaseDuration() * 1000;
 
+    // Record the attempt and capture its output, flushing it periodically so it can be followed
+    const attempt = this.storage.startAttempt(job.id, workerId);
+    this.storage.createJobLog(job.id, attempt);
+    const maxOutputBytes = this.config.getMaxOutputBytes();
+    const stdoutLog = new OutputBuffer(maxOutputBytes);
+    const stderrLog = new OutputBuffer(maxOutputBytes);
+    // A command's result comes from its output; a handler returns its own
+    const resultCapture = new ResultCapture(this.config.getResultTailBytes());
+    let logDirty = false;
+
+    const flushLog = (finished = false) => {
+      if (!logDirty && !finished) {
+        return;
+      }
+      this.storage.updateJobLog(job.id, attempt, {
+        stdout: stdoutLog.toString(finished),
+        stderr: stderrLog.toString(finished),
+        stdout_truncated: stdoutLog.truncated ? 1 : 0,
+        stderr_truncated: stderrLog.truncated ? 1 : 0,
+        finished_at: finished ? new Date().toISOString() : null
+      });
+      logDirty = false;
+    };
+    const flushInterval = everyInterval(LOG_FLUSH_INTERVAL, `save the output of job ${job.id}`, () => flushLog());
+
+    let leaseLost = false;
+    const heartbeat = () => {
+      if (!leaseLost && !this.storage.renewLease(job.id, workerId, leaseMs)) {
+        leaseLost = true;
+        console.error(`Worker ${workerId} lost the lease on job ${job.id}`);
+      }
+      return !leaseLost;
+    };
+    const heartbeatInterval = everyInterval(leaseMs / 3, `renew the lease on job ${job.id}`, heartbeat);
+
+    let outcome;
+    let cancelInterval = null;
+    let run = null;
     try {
-      // Execute the command
-      const { stdout, stderr } = await execAsync(job.command, {
-        timeout: 30000, // 30 second timeout
-        maxBuffer: 1024 * 1024 // 1MB buffer
+      // Execute the command, the job's own timeout taking precedence over the global one
+      const timeoutSeconds = job.timeout !== null ? job.timeout : this.config.getJobTimeout();
+      const runOptions = {
+        timeout: timeoutSeconds * 1000,
+        stdout: {
+          write: (chunk) => {
+            stdoutLog.write(chunk);
+            resultCapture.write(chunk);
+          }
+        },
+        stderr: stderrLog,
+        onOutput: () => {
+          logDirty = true;
+        }
+      };
+      run = job.type
+        ? runHandler(this.getHandlers().get(job.type), job, { ...runOptions, attempt })
+        : runCommand(job.command, { ...Queue.processOptions(job), ...runOptions });
+
+      // Kill the command as soon as someone asks for the job to be cancelled
+      cancelInterval = everyInterval(CANCEL_POLL_INTERVAL, `check job ${job.id} for cancellation`, () => {
+        if (this.storage.isCancelRequested(job.id)) {
+          run.cancel();
+        }
       });
 
-      // Success
+      const { result } = await run;
+      outcome = { success: true, result: job.type ? result : resultCapture.serialize(), stdout: stdoutLog.toString(true), stderr: stderrLog.toString(true) };
+    } catch (error) {
+      outcome = { success: false, error };
+    } finally {
+      clearInterval(flushInterval);
+      clearInterval(heartbeatInterval);
+      clearInterval(cancelInterval);
+      flushLog(true);
+    }
+
+    // An inline handler that ignored its abort signal is still running; it keeps
+    // holding a slot until it returns, so that such handlers cannot pile up
+    if (run && run.done) {
+      const done = run.done;
+      this.lingering.add(done);
+      done.then(() => this.lingering.delete(done));
+    }
+
+    // The job was reclaimed by someone else while it ran; leave its state alone
+    if (!heartbeat()) {
+      return { success: false, error: 'Lease lost', leaseLost: true };
+    }
+
+    if (outcome.success) {
+      this.storage.finishAttempt(job.id, attempt, { status: 'succeeded', exit_code: job.type ? null : 0 });
+
+      // Success; the result is what a handler returned, or what the command printed
       this.storage.updateJob(job.id, {
         state: 'completed',
         worker_id: null,
-        error_message: null
+        lease_expires_at: null,
+        error_message: null,
+        cancel_requested: 0,
+        result: outcome.result
       });
+      this.releaseDependents(job.id);
 
-      return { success: true, stdout, stderr };
-    } catch (error) {
-      // Failure
-      const attempts = job.attempts + 1;
-      const maxRetries = job.max_retries;
-      const backoffBase = this.config.getBackoffBase();
-      
-      let nextState = 'failed';
-      let nextRetryAt = null;
-      let errorMessage = error.message || 'Command execution failed';
-
-      if (attempts >= maxRetries) {
-        // Move to DLQ
-        nextState = 'dead';
-        this.storage.updateJob(job.id, {
-          state: 'dead',
-          attempts: attempts,
-          worker_id: null,
-          error_message: errorMessage
-        });
-      } else {
-        // Calculate exponential backoff
-        const delaySeconds = Math.pow(backoffBase, attempts);
-        const nextRetry = new Date(Date.now() + delaySeconds * 1000);
-        nextRetryAt = nextRetry.toISOString();
-
-        this.storage.updateJob(job.id, {
-          state: 'failed',
-          attempts: attempts,
-          next_retry_at: nextRetryAt,
-          worker_id: null,
-          error_message: errorMessage
-        });
+      return outcome;
+    }
+
+    // Failure
+    const { error } = outcome;
+    const errorMessage = error.message || 'Command execution failed';
+
+    if (error.cancelled) {
+      this.storage.finishAttempt(job.id, attempt, {
+        status: 'cancelled',
+        signal: error.signal,
+        error_message: errorMessage
+      });
+      this.markCancelled(job, errorMessage);
+      return { success: false, error: errorMessage, cancelled: true };
+    }
+
+    this.storage.finishAttempt(job.id, attempt, {
+      status: error.timedOut ? 'timed_out' : 'failed',
+      exit_code: typeof error.code === 'number' ? error.code : null,
+      signal: error.signal,
+      error_message: errorMessage
+    });
+
+    const exitCode = typeof error.code === 'number' ? error.code : null;
+    return { success: false, error: errorMessage, ...this.recordFailure(job, errorMessage, exitCode) };
+  }
+
+  // The job's own retry policy on top of the global one
+  retryPolicy(job) {
+    return { ...this.config.getRetryPolicy(), ...(job.retry || {}) };
+  }
+
+  // Count a failed attempt against the job and either schedule a retry or move it to the DLQ
+  recordFailure(job, errorMessage, exitCode = null) {
+    const attempts = job.attempts + 1;
+    const maxRetries = job.max_retries;
+    const policy = this.retryPolicy(job);
+    const retryable = shouldRetry(policy, exitCode);
+
+    let nextRetryAt = null;
+
+    if (attempts >= maxRetries || !retryable) {
+      // Move to DLQ
+      this.storage.updateJob(job.id, {
+        state: 'dead',
+        attempts: attempts,
+        worker_id: null,
+        lease_expires_at: null,
+        cancel_requested: 0,
+        error_message: retryable ? errorMessage : `${errorMessage} (exit code ${exitCode} is not retried)`
+      });
+      this.abandonDependents(this.storage.getJob(job.id));
+    } else {
+      const delaySeconds = retryDelay(policy, attempts);
+      const nextRetry = new Date(Date.now() + delaySeconds * 1000);
+      nextRetryAt = nextRetry.toISOString();
+
+      this.storage.updateJob(job.id, {
+        state: 'failed',
+        attempts: attempts,
+        next_retry_at: nextRetryAt,
+        worker_id: null,
+        lease_expires_at: null,
+        cancel_requested: 0,
+        error_message: errorMessage
+      });
+    }
+
+    return { attempts, nextRetryAt };
+  }
+
+  // Unblock dependents of a completed job once all of their dependencies have completed
+  releaseDependents(jobId) {
+    for (const child of this.storage.getDependents(jobId)) {
+      if (child.state !== 'blocked' || this.storage.countUnfinishedDependencies(child.id) > 0) {
+        continue;
+      }
+      this.storage.updateJobIfState(child.id, 'blocked', { state: readyState(child.run_at) });
+    }
+  }
+
+  // Fail or cancel (per dependency_failure_policy) everything still waiting on a job
+  // that ended up dead or cancelled, all the way down the graph
+  abandonDependents(parent) {
+    for (const child of this.storage.getDependents(parent.id)) {
+      if (child.state === 'blocked') {
+        this.abandonJob(child, parent);
       }
+    }
+  }
 
-      return { success: false, error: errorMessage, attempts, nextRetryAt };
+  abandonJob(job, parent) {
+    const policy = this.config.getDependencyFailurePolicy();
+    const changed = this.storage.updateJobIfState(job.id, 'blocked', {
+      state: policy === 'cancel' ? 'cancelled' : 'dead',
+      error_message: `Dependency ${parent.id} is ${parent.state}`
+    });
+    if (changed) {
+      this.abandonDependents(this.storage.getJob(job.id));
     }
   }
 
-  getNextJob() {
-    // First, try to get a pending job
-    let job = this.storage.getNextPendingJob();
-    if (job) {
-      return job;
+  markCancelled(job, reason) {
+    this.storage.updateJob(job.id, {
+      state: 'cancelled',
+      worker_id: null,
+      lease_expires_at: null,
+      cancel_requested: 0,
+      error_message: reason
+    });
+    this.abandonDependents(this.storage.getJob(job.id));
+  }
+
+  // Cancel a job. Waiting jobs are cancelled right away; for a running job a
+  // cancellation is requested and its worker kills the command.
+  // Returns 'cancelled' or 'requested'.
+  cancel(jobId) {
+    const job = this.storage.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+    if (TERMINAL_STATES.includes(job.state)) {
+      throw new ConflictError(`Job ${jobId} is already ${job.state}`);
     }
 
-    // Then, try to get a retryable failed job
-    job = this.storage.getRetryableJobs();
-    if (job) {
-      // Reset to pending for retry
-      this.storage.updateJob(job.id, {
-        state: 'pending',
-        next_retry_at: null
+    if (job.state === 'processing') {
+      if (!this.storage.requestCancel(jobId)) {
+        throw new ConflictError(`Job ${jobId} finished before it could be cancelled`);
+      }
+      return 'requested';
+    }
+
+    // The update re-checks the state, the job may have been picked up meanwhile
+    const changed = this.storage.updateJobIfState(jobId, job.state, {
+      state: 'cancelled',
+      error_message: 'Cancelled by user'
+    });
+    if (!changed) {
+      return this.cancel(jobId);
+    }
+    this.abandonDependents(this.storage.getJob(jobId));
+    return 'cancelled';
+  }
+
+  // Cancel every non-terminal job matching the filters ({ state, command_glob })
+  cancelMany(filters) {
+    if (filters.state && TERMINAL_STATES.includes(filters.state)) {
+      throw new ConflictError(`Jobs in state ${filters.state} cannot be cancelled`);
+    }
+
+    const results = { cancelled: [], requested: [], skipped: [] };
+    for (const job of this.storage.listJobs(filters)) {
+      if (TERMINAL_STATES.includes(job.state)) {
+        continue;
+      }
+      try {
+        results[this.cancel(job.id)].push(job.id);
+      } catch (error) {
+        results.skipped.push(job.id);
+      }
+    }
+    return results;
+  }
+
+  // Put jobs whose worker stopped heartbeating back on the retry path
+  reclaimExpiredLeases() {
+    const reclaimed = [];
+
+    for (const expired of this.storage.getExpiredLeases()) {
+      this.storage.transaction(() => {
+        // Re-check inside the transaction, another worker may have reclaimed it already
+        const job = this.storage.getJob(expired.id);
+        if (!job || job.state !== 'processing' || job.lease_expires_at !== expired.lease_expires_at) {
+          return;
+        }
+
+        const errorMessage = `Lease expired on worker ${job.worker_id || 'unknown'} (worker stopped heartbeating)`;
+        const attempt = this.storage.getRunningAttempt(job.id);
+        if (attempt !== null) {
+          this.storage.finishAttempt(job.id, attempt, { status: 'reclaimed', error_message: errorMessage });
+          this.storage.updateJobLog(job.id, attempt, { finished_at: new Date().toISOString() });
+        }
+
+        // Nobody is left to kill a job whose cancellation was pending; just finish it off
+        if (job.cancel_requested) {
+          this.markCancelled(job, 'Cancelled (worker stopped heartbeating)');
+        } else {
+          this.recordFailure(job, errorMessage);
+        }
+        reclaimed.push(job.id);
       });
-      return this.storage.getJob(job.id);
     }
 
+    return reclaimed;
+  }
+
+  // Claim the next job for a worker, already marked processing under its lease.
+  // queues: [{ name, weight }] to pull from, or null for all of them
+  claimNextJob(workerId, queues = null) {
+    this.reclaimExpiredLeases();
+    this.storage.promoteDueJobs();
+
+    const leaseMs = this.config.getLeaseDuration() * 1000;
+    if (!queues) {
+      return this.storage.claimNextJob(workerId, leaseMs);
+    }
+
+    for (const queue of Queue.weightedOrder(queues)) {
+      const job = this.storage.claimNextJob(workerId, leaseMs, queue.name);
+      if (job) {
+        return job;
+      }
+    }
     return null;
   }
 
-  list(state = null) {
-    return this.storage.listJobs(state);
+  getJob(jobId) {
+    return this.storage.getJob(jobId);
+  }
+
+  // Poll until the job is completed, dead or cancelled and return it.
+  // timeoutMs of 0 waits forever.
+  async waitForJob(jobId, timeoutMs = 0, intervalMs = 500) {
+    const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : Infinity;
+    for (;;) {
+      const job = this.storage.getJob(jobId);
+      if (!job) {
+        throw new NotFoundError(`Job ${jobId} not found`);
+      }
+      if (TERMINAL_STATES.includes(job.state)) {
+        return job;
+      }
+      if (Date.now() >= deadline) {
+        throw new TimeoutError(`Job ${jobId} is still ${job.state} after ${timeoutMs / 1000}s`);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(intervalMs, deadline - Date.now())));
+    }
+  }
+
+  list(filters = {}) {
+    return this.storage.listJobs(parseListFilters(filters));
+  }
+
+  count(filters = {}) {
+    return this.storage.countJobs(parseListFilters(filters));
+  }
+
+  reprioritize(jobId, priority) {
+    const job = this.storage.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+    if (!WAITING_STATES.includes(job.state)) {
+      throw new ConflictError(`Job ${jobId} is ${job.state}; only waiting jobs (${WAITING_STATES.join(', ')}) can be reprioritized`);
+    }
+
+    // The state may have changed since the read above, so the update re-checks it
+    if (!this.storage.setPriority(jobId, parsePriority(priority), WAITING_STATES)) {
+      throw new ConflictError(`Job ${jobId} was picked up before it could be reprioritized`);
+    }
+    return this.storage.getJob(jobId);
+  }
+
+  getStats(queue = null) {
+    return this.storage.getStats(queue);
+  }
+
+  getQueueStats() {
+    return this.storage.getQueueStats();
   }
 
-  getStats() {
-    return this.storage.getStats();
+  // Workers registered in the workers table, dropping those whose process is gone
+  getWorkers() {
+    return this.storage.listWorkers().filter(worker => {
+      try {
+        process.kill(worker.pid, 0);
+        return true;
+      } catch (error) {
+        this.storage.removeWorker(worker.id);
+        return false;
+      }
+    });
+  }
+
+  getReclaimedCount() {
+    return this.storage.getReclaimedCount();
   }
 
   getDLQJobs() {
@@ -130,7 +828,177 @@ class Queue {
   }
 
   retryFromDLQ(jobId) {
-    return this.storage.retryFromDLQ(jobId);
+    const job = this.storage.retryFromDLQ(jobId);
+    if (job && this.storage.countUnfinishedDependencies(jobId) > 0) {
+      // Dependencies still have to complete before it can run again
+      this.storage.updateJob(jobId, { state: 'blocked' });
+      return this.storage.getJob(jobId);
+    }
+    return job;
+  }
+
+  // Delete one job from the DLQ, or every dead job when no id is given.
+  // Returns the ids that were removed.
+  purgeDLQ(jobId = null) {
+    if (jobId !== null) {
+      const job = this.storage.getJob(jobId);
+      if (!job || job.state !== 'dead') {
+        throw new NotFoundError(`Job ${jobId} not found in DLQ`);
+      }
+    }
+
+    const jobs = jobId === null ? this.storage.getDLQJobs() : [this.storage.getJob(jobId)];
+    return jobs.filter(job => this.storage.deleteJob(job.id, 'dead')).map(job => job.id);
+  }
+
+  // Delete jobs in the given terminal states that finished more than olderThanMs ago,
+  // optionally appending them (with attempts and logs) to an NDJSON archive first.
+  // fullVacuum allows the one-time VACUUM that older databases need before freed
+  // space can be reclaimed. Returns the number of jobs purged (or that would be).
+  purge({ states, olderThanMs = 0, dryRun = false, archive = null, fullVacuum = false }) {
+    for (const state of states) {
+      if (!Config.retentionStates().includes(state)) {
+        throw new ValidationError(`Only ${Config.retentionStates().join(', ')} jobs can be purged, not ${state}`);
+      }
+    }
+    const filters = { updated_before: new Date(Date.now() - olderThanMs).toISOString() };
+
+    let purged = 0;
+    for (const state of states) {
+      if (dryRun) {
+        purged += this.storage.countJobs({ ...filters, state });
+        continue;
+      }
+
+      for (;;) {
+        const batch = this.storage.listJobs({ ...filters, state, sort: 'updated:asc', limit: PURGE_BATCH_SIZE });
+        if (batch.length === 0) {
+          break;
+        }
+        purged += this.storage.transaction(() => {
+          const records = [];
+          let deleted = 0;
+          for (const job of batch) {
+            const record = archive ? this.archiveRecord(job.id) : null;
+            if (this.storage.deleteJob(job.id, state)) {
+              deleted++;
+              if (record) {
+                records.push(record);
+              }
+            }
+          }
+          // Written before the deletes commit: a failed write rolls them back
+          if (records.length > 0) {
+            fs.appendFileSync(archive, records.map(record => JSON.stringify(record) + '\n').join(''));
+          }
+          return deleted;
+        });
+      }
+    }
+
+    if (purged > 0 && !dryRun) {
+      this.storage.compact(fullVacuum);
+    }
+    return purged;
+  }
+
+  archiveRecord(jobId) {
+    return {
+      ...this.storage.getJob(jobId),
+      attempt_history: this.storage.getAttempts(jobId),
+      logs: this.storage.getJobLogs(jobId),
+      archived_at: new Date().toISOString()
+    };
+  }
+
+  // Purge terminal jobs older than their configured retention; run periodically by workers
+  applyRetention() {
+    let purged = 0;
+    for (const state of Config.retentionStates()) {
+      const seconds = this.config.getRetention(state);
+      if (seconds > 0) {
+        purged += this.purge({
+          states: [state],
+          olderThanMs: seconds * 1000,
+          archive: this.config.getRetentionArchive()
+        });
+      }
+    }
+    return purged;
+  }
+
+  // The job with its dependencies and dependents, recursively, for rendering as a tree
+  getGraph(jobId) {
+    const job = this.storage.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+
+    const build = (node, next, path) => ({
+      ...node,
+      children: path.has(node.id) ? [] : next(node).map(child => build(child, next, new Set([...path, node.id])))
+    });
+
+    return {
+      upstream: build(job, node => node.depends_on.map(id => this.storage.getJob(id)).filter(Boolean), new Set()),
+      downstream: build(job, node => this.storage.getDependents(node.id), new Set())
+    };
+  }
+
+  getAttempts(jobId) {
+    const job = this.storage.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+    return this.storage.getAttempts(jobId);
+  }
+
+  getLogs(jobId, attempt = null) {
+    const job = this.storage.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job ${jobId} not found`);
+    }
+    return this.storage.getJobLogs(jobId, attempt);
+  }
+
+  // Parse a worker's queue list such as "emails:3,reports" into [{ name, weight }]
+  static parseQueueSpec(spec) {
+    const parts = spec.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+      throw new ValidationError('At least one queue is required');
+    }
+    return parts.map(part => {
+      const [name, weightText] = part.split(':');
+      validateQueueName(name);
+      const weight = weightText === undefined ? 1 : Number(weightText);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        throw new ValidationError(`Invalid weight '${weightText}' for queue ${name}`);
+      }
+      return { name, weight };
+    });
+  }
+
+  // How a job's process is started: its arguments, working directory, environment and
+  // stdin. The payload is passed as JSON on stdin and, unless too large, in QUEUECTL_PAYLOAD.
+  static processOptions(job) {
+    const env = { ...job.env, QUEUECTL_JOB_ID: job.id };
+    let input = null;
+    if (job.payload !== null) {
+      input = JSON.stringify(job.payload);
+      if (Buffer.byteLength(input) <= MAX_PAYLOAD_ENV_BYTES) {
+        env.QUEUECTL_PAYLOAD = input;
+      }
+    }
+    return { args: job.args, cwd: job.cwd || undefined, env, input };
+  }
+
+  // Random order in which queues with a higher weight tend to come first, so that
+  // a queue of weight 3 is tried first three times as often as one of weight 1
+  static weightedOrder(queues) {
+    return queues
+      .map(queue => ({ queue, key: Math.pow(Math.random(), 1 / queue.weight) }))
+      .sort((a, b) => b.key - a.key)
+      .map(entry => entry.queue);
   }
 }
 
@@ -0,0 +1,162 @@
+const { parseDuration } = require('./duration');
+const { ValidationError } = require('./errors');
+
+const STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+// Fields of a job's `retry` object; anything left out comes from the global config
+const POLICY_FIELDS = ['strategy', 'delay', 'max_delay', 'base', 'jitter', 'retry_on', 'no_retry'];
+
+function validateStrategy(value, name) {
+  if (!STRATEGIES.includes(value)) {
+    throw new ValidationError(`${name} must be one of: ${STRATEGIES.join(', ')}`);
+  }
+  return value;
+}
+
+// Seconds, or a duration such as "30s" or "5m"; kept in (possibly fractional) seconds
+function parseDelay(value, name) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new ValidationError(`${name} must be a number of seconds or a duration such as "30s"`);
+  }
+  return parseDuration(value) / 1000;
+}
+
+function parseBase(value, name) {
+  const num = Number(value);
+  if (value === '' || value === null || !Number.isFinite(num) || num <= 0) {
+    throw new ValidationError(`${name} must be a positive number`);
+  }
+  return num;
+}
+
+// Fraction of each delay that is randomized away, so that jobs that failed together
+// do not all retry at the same moment
+function parseJitter(value, name) {
+  const num = Number(value);
+  if (value === '' || value === null || !Number.isFinite(num) || num < 0 || num > 1) {
+    throw new ValidationError(`${name} must be a number between 0 and 1`);
+  }
+  return num;
+}
+
+// An array of exit codes, or a comma-separated list of them
+function parseExitCodes(value, name) {
+  const list = typeof value === 'string'
+    ? value.split(',').map(code => code.trim()).filter(Boolean)
+    : value;
+  if (!Array.isArray(list)) {
+    throw new ValidationError(`${name} must be a list of exit codes`);
+  }
+  return list.map(code => {
+    const num = Number(code);
+    if (!Number.isInteger(num) || num < 0 || num > 255) {
+      throw new ValidationError(`${name} must only contain exit codes from 0 to 255, got ${JSON.stringify(code)}`);
+    }
+    return num;
+  });
+}
+
+// Validate a job's `retry` object; returns the fields it sets, normalized
+function parseRetryPolicy(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError('retry must be an object');
+  }
+  const unknown = Object.keys(value).filter(key => !POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown retry field(s): ${unknown.join(', ')}. Use: ${POLICY_FIELDS.join(', ')}`);
+  }
+
+  const policy = {};
+  if (value.strategy !== undefined) {
+    policy.strategy = validateStrategy(value.strategy, 'retry.strategy');
+  }
+  if (value.delay !== undefined) {
+    policy.delay = parseDelay(value.delay, 'retry.delay');
+  }
+  if (value.max_delay !== undefined) {
+    policy.max_delay = parseDelay(value.max_delay, 'retry.max_delay');
+  }
+  if (value.base !== undefined) {
+    policy.base = parseBase(value.base, 'retry.base');
+  }
+  if (value.jitter !== undefined) {
+    policy.jitter = parseJitter(value.jitter, 'retry.jitter');
+  }
+  if (value.retry_on !== undefined) {
+    policy.retry_on = parseExitCodes(value.retry_on, 'retry.retry_on');
+  }
+  if (value.no_retry !== undefined) {
+    policy.no_retry = parseExitCodes(value.no_retry, 'retry.no_retry');
+  }
+  return policy;
+}
+
+// Whether a failure with this exit code may be retried. Failures without an exit code
+// (timeouts, signals, handler errors, lost workers) always may.
+function shouldRetry(policy, exitCode) {
+  if (exitCode === null || exitCode === undefined) {
+    return true;
+  }
+  if (policy.no_retry && policy.no_retry.includes(exitCode)) {
+    return false;
+  }
+  return !policy.retry_on || policy.retry_on.length === 0 || policy.retry_on.includes(exitCode);
+}
+
+// Seconds to wait before retrying after the given (1-based) failed attempt.
+// A policy without a delay waits `base` seconds first, so the default exponential
+// policy gives base^attempt: 2s, 4s, 8s...
+function retryDelay(policy, attempt, random = Math.random) {
+  const initial = policy.delay === null || policy.delay === undefined ? policy.base : policy.delay;
+  let delay;
+  if (policy.strategy === 'fixed') {
+    delay = initial;
+  } else if (policy.strategy === 'linear') {
+    delay = initial * attempt;
+  } else {
+    delay = initial * Math.pow(policy.base, attempt - 1);
+  }
+  if (policy.max_delay > 0) {
+    delay = Math.min(delay, policy.max_delay);
+  }
+  return delay * (1 - (policy.jitter || 0) * random());
+}
+
+function describePolicy(policy) {
+  const parts = policy.strategy ? [policy.strategy] : [];
+  if (policy.delay !== undefined && policy.delay !== null) {
+    parts.push(`delay ${policy.delay}s`);
+  }
+  if (policy.base !== undefined) {
+    parts.push(`base ${policy.base}`);
+  }
+  if (policy.max_delay) {
+    parts.push(`max ${policy.max_delay}s`);
+  }
+  if (policy.jitter) {
+    parts.push(`jitter ${policy.jitter}`);
+  }
+  if (policy.retry_on && policy.retry_on.length > 0) {
+    parts.push(`retry on ${policy.retry_on.join(',')}`);
+  }
+  if (policy.no_retry && policy.no_retry.length > 0) {
+    parts.push(`never retry ${policy.no_retry.join(',')}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  STRATEGIES,
+  validateStrategy,
+  parseDelay,
+  parseBase,
+  parseJitter,
+  parseExitCodes,
+  parseRetryPolicy,
+  shouldRetry,
+  retryDelay,
+  describePolicy
+};
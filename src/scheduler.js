@@ -0,0 +1,149 @@
+const Queue = require('./queue');
+const Config = require('./config');
+const { parseCron, nextRun } = require('./cron');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+// A tick fired later than this counts as missed and is subject to the misfire policy
+const MISFIRE_GRACE_MS = 60 * 1000;
+// Upper bound on the ticks looked at for one schedule in a single catch-up
+const MAX_CATCH_UP = 100;
+
+class Scheduler {
+  constructor(queue = null) {
+    this.queue = queue || new Queue();
+    this.storage = this.queue.storage;
+    this.config = this.queue.config;
+  }
+
+  add(name, cronExpr, template, options = {}) {
+    if (!/^[A-Za-z0-9._-]+$/.test(name || '')) {
+      throw new ValidationError('Schedule name may only contain letters, digits, ".", "_" and "-"');
+    }
+    parseCron(cronExpr);
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new ValidationError('Job template must be a JSON object');
+    }
+    if (template.id !== undefined) {
+      throw new ValidationError('Job template must not have an id; one is derived from the schedule name and tick time');
+    }
+    // Catch a bad template now rather than on every tick
+    this.queue.validate(template);
+    if (options.misfire_policy) {
+      Config.validateMisfirePolicy(options.misfire_policy);
+    }
+    if (this.storage.getSchedule(name)) {
+      throw new ConflictError(`Schedule ${name} already exists`);
+    }
+
+    return this.storage.createSchedule({
+      name,
+      cron: cronExpr,
+      job_template: template,
+      misfire_policy: options.misfire_policy,
+      next_run_at: nextRun(cronExpr).toISOString()
+    });
+  }
+
+  list() {
+    return this.storage.listSchedules();
+  }
+
+  pause(name) {
+    this.getOrThrow(name);
+    this.storage.updateSchedule(name, { paused: 1 });
+    return this.storage.getSchedule(name);
+  }
+
+  resume(name) {
+    const schedule = this.getOrThrow(name);
+    // Ticks that passed while paused are not caught up
+    this.storage.updateSchedule(name, {
+      paused: 0,
+      next_run_at: nextRun(schedule.cron).toISOString()
+    });
+    return this.storage.getSchedule(name);
+  }
+
+  remove(name) {
+    this.getOrThrow(name);
+    this.storage.deleteSchedule(name);
+  }
+
+  getOrThrow(name) {
+    const schedule = this.storage.getSchedule(name);
+    if (!schedule) {
+      throw new NotFoundError(`Schedule ${name} not found`);
+    }
+    return schedule;
+  }
+
+  // Enqueue a job for every due schedule. Safe to call from several workers at once:
+  // each schedule is advanced in a transaction that re-checks it was not fired already,
+  // and job ids are derived from the tick time so a tick can only ever create one job.
+  tick() {
+    const enqueued = [];
+
+    for (const due of this.storage.getDueSchedules()) {
+      this.storage.transaction(() => {
+        const schedule = this.storage.getSchedule(due.name);
+        if (!schedule || schedule.paused || schedule.next_run_at !== due.next_run_at) {
+          return;
+        }
+
+        const now = new Date();
+        const { ticks, nextRunAt } = this.collectTicks(schedule, now);
+
+        for (const tick of this.applyMisfirePolicy(schedule, ticks, now)) {
+          const id = `${schedule.name}@${tick.toISOString()}`;
+          if (this.storage.getJob(id)) {
+            continue;
+          }
+          try {
+            enqueued.push(this.queue.enqueue({ ...schedule.job_template, id }));
+          } catch (error) {
+            console.error(`Schedule ${schedule.name} failed to enqueue ${id}: ${error.message}`);
+          }
+        }
+
+        this.storage.updateSchedule(schedule.name, {
+          next_run_at: nextRunAt.toISOString(),
+          last_run_at: now.toISOString()
+        });
+      });
+    }
+
+    return enqueued;
+  }
+
+  collectTicks(schedule, now) {
+    const cron = parseCron(schedule.cron);
+    const ticks = [];
+    let tick = new Date(schedule.next_run_at);
+
+    while (tick <= now && ticks.length < MAX_CATCH_UP) {
+      ticks.push(tick);
+      tick = nextRun(cron, tick);
+    }
+    if (tick <= now) {
+      // Too far behind to walk every tick; resume from now
+      tick = nextRun(cron, now);
+    }
+
+    return { ticks, nextRunAt: tick };
+  }
+
+  applyMisfirePolicy(schedule, ticks, now) {
+    const policy = schedule.misfire_policy || this.config.getMisfirePolicy();
+
+    if (policy === 'fire-all') {
+      return ticks;
+    }
+    if (policy === 'skip') {
+      return ticks.filter(tick => now - tick <= MISFIRE_GRACE_MS);
+    }
+    // fire-once: collapse any backlog into a single run for the latest tick
+    return ticks.slice(-1);
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,345 @@
+const http = require('http');
+const crypto = require('crypto');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const Queue = require('./queue');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+// Requests with a larger body are rejected with 413
+const MAX_BODY_BYTES = 1024 * 1024;
+// Methods that change something; they must send a JSON body so that a browser only
+// makes them cross-origin after a CORS preflight, which this server never approves
+const WRITE_METHODS = ['POST', 'PUT', 'DELETE'];
+// Addresses a server bound to all interfaces can be reached on without a host name
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+// Page size for GET /jobs when no limit is given, and the largest one allowed
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const DASHBOARD_HTML = fs.readFileSync(path.join(__dirname, 'dashboard.html'));
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function statusFor(error) {
+  if (error instanceof HttpError) {
+    return error.status;
+  }
+  if (error instanceof ValidationError) {
+    return 400;
+  }
+  if (error instanceof NotFoundError) {
+    return 404;
+  }
+  if (error instanceof ConflictError) {
+    return 409;
+  }
+  return 500;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining an oversized body so the 413 response can still be sent
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function integerParam(query, name, min = null) {
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || (min !== null && value < min)) {
+    throw new ValidationError(min === null ? `${name} must be an integer` : `${name} must be an integer >= ${min}`);
+  }
+  return value;
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, `Malformed path segment: ${value}`);
+  }
+}
+
+function isLoopback(address) {
+  return address === '::1' || address.startsWith('127.');
+}
+
+// Exposes the Queue over a small JSON HTTP API
+class ApiServer {
+  constructor(options = {}) {
+    this.queue = new Queue();
+    this.token = options.token || null;
+    this.address = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    // [method, path pattern, handler]; captured groups are passed to the handler
+    this.routes = [
+      ['GET', /^\/$/, this.dashboard],
+      ['POST', /^\/jobs$/, this.createJob],
+      ['GET', /^\/jobs$/, this.listJobs],
+      ['GET', /^\/jobs\/([^/]+)$/, this.getJob],
+      ['GET', /^\/jobs\/([^/]+)\/attempts$/, this.getAttempts],
+      ['POST', /^\/jobs\/([^/]+)\/cancel$/, this.cancelJob],
+      ['GET', /^\/stats$/, this.getStats],
+      ['GET', /^\/dlq$/, this.listDLQ],
+      ['DELETE', /^\/dlq$/, this.purgeDLQ],
+      ['POST', /^\/dlq\/([^/]+)\/retry$/, this.retryDLQ],
+      ['DELETE', /^\/dlq\/([^/]+)$/, this.purgeDLQ],
+      ['GET', /^\/config$/, this.getConfig],
+      ['PUT', /^\/config\/([^/]+)$/, this.setConfig],
+      ['DELETE', /^\/config\/([^/]+)$/, this.unsetConfig]
+    ];
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.address = this.server.address();
+        resolve(this.address);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => {
+      this.queue.storage.close();
+      resolve();
+    }));
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      this.checkOrigin(req);
+      // The dashboard page holds no data; it asks for the token itself
+      if (url.pathname !== '/') {
+        this.authorize(req);
+      }
+
+      const pathMatches = this.routes
+        .map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(url.pathname) }))
+        .filter(route => route.match);
+      if (pathMatches.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+      const route = pathMatches.find(candidate => candidate.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', pathMatches.map(candidate => candidate.method).join(', '));
+        throw new HttpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+      }
+
+      const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+      const params = route.match.slice(1).map(decodeParam);
+      const [status, payload, headers] = await route.handler.call(this, { params, query: url.searchParams, body });
+      if (Buffer.isBuffer(payload)) {
+        res.writeHead(status, headers);
+        res.end(payload);
+        return;
+      }
+      this.send(res, status, payload, headers);
+    } catch (error) {
+      const status = statusFor(error);
+      if (status === 500) {
+        console.error(`${req.method} ${req.url} failed: ${error.stack}`);
+      }
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  // Without a token anyone who can reach the server may use it, so make sure a web page
+  // the user visits cannot: Host must name this server, not a domain rebound to it
+  // (DNS rebinding), a browser's Origin must be this server's own, and writes must be
+  // JSON, which browsers do not send cross-origin without a preflight.
+  checkOrigin(req) {
+    if (!this.allowedHost(req.headers.host)) {
+      throw new HttpError(403, `Host ${req.headers.host || '(none)'} is not allowed`);
+    }
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin !== `http://${req.headers.host}`) {
+      throw new HttpError(403, `Cross-origin requests from ${origin} are not allowed`);
+    }
+    if (WRITE_METHODS.includes(req.method)) {
+      const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (type !== 'application/json') {
+        throw new HttpError(415, `${req.method} requests must have Content-Type: application/json`);
+      }
+    }
+  }
+
+  // localhost, the address the server is bound to, or, when bound to all interfaces,
+  // any IP address; always with the port it listens on
+  allowedHost(header) {
+    if (!header || !this.address) {
+      return false;
+    }
+    let host;
+    try {
+      host = new URL(`http://${header}`);
+    } catch (error) {
+      return false;
+    }
+    const hostname = host.hostname.replace(/^\[(.*)\]$/, '$1');
+    const port = host.port === '' ? 80 : Number(host.port);
+    if (port !== this.address.port) {
+      return false;
+    }
+    return hostname === 'localhost' ||
+      hostname === this.address.address ||
+      (net.isIP(hostname) !== 0 && (WILDCARD_ADDRESSES.includes(this.address.address) || isLoopback(hostname)));
+  }
+
+  authorize(req) {
+    if (!this.token) {
+      return;
+    }
+    const header = req.headers.authorization || '';
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const given = Buffer.from(header);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new HttpError(401, 'Missing or invalid bearer token');
+    }
+  }
+
+  send(res, status, payload, headers = {}) {
+    if (res.headersSent) {
+      return;
+    }
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      ...headers,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  dashboard() {
+    return [200, DASHBOARD_HTML, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': DASHBOARD_HTML.length
+    }];
+  }
+
+  // ?if_exists=error|ignore|replace; 201 when a job was created, 200 otherwise
+  createJob({ query, body }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Job must be a JSON object');
+    }
+    const { job, status } = this.queue.submit(body, { ifExists: query.get('if_exists') || 'error' });
+    return [status === 'created' ? 201 : 200, job, { 'X-Enqueue-Result': status }];
+  }
+
+  // Paginated with limit/offset; the total number of matches is in X-Total-Count
+  listJobs({ query }) {
+    const filters = { sort: query.get('sort') };
+    for (const name of ['state', 'queue', 'search', 'command_contains', 'command_regex', 'worker_id', 'created_after', 'created_before']) {
+      filters[name] = query.get(name);
+    }
+    if (query.has('priority')) {
+      filters.priority = integerParam(query, 'priority');
+    }
+    filters.limit = query.has('limit') ? integerParam(query, 'limit', 1) : DEFAULT_PAGE_SIZE;
+    filters.offset = query.has('offset') ? integerParam(query, 'offset', 0) : 0;
+    if (filters.limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be at most ${MAX_PAGE_SIZE}`);
+    }
+
+    const total = this.queue.count(filters);
+    return [200, this.queue.list(filters), { 'X-Total-Count': String(total) }];
+  }
+
+  getJob({ params: [id] }) {
+    const job = this.queue.getJob(id);
+    if (!job) {
+      throw new NotFoundError(`Job ${id} not found`);
+    }
+    return [200, job];
+  }
+
+  getAttempts({ params: [id] }) {
+    return [200, this.queue.getAttempts(id)];
+  }
+
+  cancelJob({ params: [id] }) {
+    const result = this.queue.cancel(id);
+    // A running job is only cancelled once its worker has killed the command
+    return [result === 'requested' ? 202 : 200, { result, job: this.queue.getJob(id) }];
+  }
+
+  getStats() {
+    return [200, {
+      ...this.queue.getStats(),
+      reclaimed: this.queue.getReclaimedCount(),
+      queues: this.queue.getQueueStats()
+    }];
+  }
+
+  listDLQ() {
+    return [200, this.queue.getDLQJobs()];
+  }
+
+  retryDLQ({ params: [id] }) {
+    const job = this.queue.retryFromDLQ(id);
+    if (!job) {
+      throw new NotFoundError(`Job ${id} not found in DLQ`);
+    }
+    return [200, job];
+  }
+
+  purgeDLQ({ params: [id] }) {
+    return [200, { purged: this.queue.purgeDLQ(id === undefined ? null : id) }];
+  }
+
+  getConfig() {
+    return [200, this.queue.config.getAll()];
+  }
+
+  setConfig({ params: [key], body }) {
+    if (!body || body.value === undefined) {
+      throw new ValidationError('Body must be {"value": ...}');
+    }
+    const value = this.queue.config.setKey(key, String(body.value));
+    return [200, { key, value }];
+  }
+
+  // Back to .queuectlrc or the default; returns the value now in effect
+  unsetConfig({ params: [key] }) {
+    const removed = this.queue.config.unsetKey(key);
+    const { value, source } = this.queue.config.lookup(key);
+    return [200, { key, removed, value, source }];
+  }
+}
+
+module.exports = ApiServer;
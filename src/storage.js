@@ -2,6 +2,52 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
+// Sort keys accepted by listJobs and the columns they order by
+const SORT_COLUMNS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  attempts: 'attempts'
+};
+
+// How long a statement waits for another connection's lock (a purge's VACUUM, say)
+// before failing with SQLITE_BUSY
+const BUSY_TIMEOUT = 5000;
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Claim the best job of one kind in a single UPDATE ... RETURNING, so the pick and the
+// lock cannot be separated. Parameters: worker id, now, lease expiry, then for retries
+// the current time, then the queue if filtered.
+const CLAIM_CANDIDATES = {
+  pending: {
+    where: "state = 'pending'",
+    order: 'priority DESC, created_at ASC'
+  },
+  retry: {
+    where: "state = 'failed' AND attempts < max_retries AND (next_retry_at IS NULL OR next_retry_at <= ?)",
+    order: 'priority DESC, next_retry_at ASC'
+  }
+};
+
+function claimSql(kind, byQueue) {
+  const { where, order } = CLAIM_CANDIDATES[kind];
+  return `
+    UPDATE jobs
+    SET state = 'processing', worker_id = ?, updated_at = ?, lease_expires_at = ?,
+        cancel_requested = 0, next_retry_at = NULL
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE ${where}
+      ${byQueue ? 'AND queue = ?' : ''}
+      ORDER BY ${order}
+      LIMIT 1
+    )
+    RETURNING *
+  `;
+}
+
 class Storage {
   constructor(dbPath = null) {
     const dataDir = path.join(process.cwd(), '.queuectl');
@@ -10,8 +56,43 @@ class Storage {
     }
     
     this.dbPath = dbPath || path.join(dataDir, 'jobs.db');
-    this.db = new Database(this.dbPath);
+    const isNew = !fs.existsSync(this.dbPath);
+    this.db = new Database(this.dbPath, { timeout: BUSY_TIMEOUT });
+    if (isNew) {
+      // Lets compact() hand pages freed by purges back to the filesystem
+      this.db.pragma('auto_vacuum = INCREMENTAL');
+    }
+    this.registerFunctions();
     this.init();
+    this.prepareStatements();
+  }
+
+  // Statements on hot paths, prepared once (bulk enqueue runs createJob thousands of times)
+  prepareStatements() {
+    this.insertJobStmt = this.db.prepare(`
+      INSERT INTO jobs (id, command, state, attempts, max_retries, priority, run_at, timeout, depends_on, queue, idempotency_key,
+        cwd, env, args, payload, type, retry_policy, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.insertDependencyStmt = this.db.prepare('INSERT INTO job_dependencies (job_id, depends_on) VALUES (?, ?)');
+    this.getJobStmt = this.db.prepare('SELECT * FROM jobs WHERE id = ?');
+    this.getJobByKeyStmt = this.db.prepare('SELECT * FROM jobs WHERE idempotency_key = ?');
+    this.claimStmts = {};
+    for (const kind of Object.keys(CLAIM_CANDIDATES)) {
+      this.claimStmts[kind] = this.db.prepare(claimSql(kind, false));
+      this.claimStmts[`${kind}:queue`] = this.db.prepare(claimSql(kind, true));
+    }
+  }
+
+  // SQLite has the REGEXP operator but no implementation for it
+  registerFunctions() {
+    const cache = new Map();
+    this.db.function('regexp', { deterministic: true }, (pattern, value) => {
+      if (!cache.has(pattern)) {
+        cache.set(pattern, new RegExp(pattern));
+      }
+      return value !== null && cache.get(pattern).test(value) ? 1 : 0;
+    });
   }
 
   init() {
@@ -27,7 +108,24 @@ class Storage {
         updated_at TEXT NOT NULL,
         next_retry_at TEXT,
         worker_id TEXT,
-        error_message TEXT
+        error_message TEXT,
+        lease_expires_at TEXT,
+        priority INTEGER NOT NULL DEFAULT 0,
+        run_at TEXT,
+        timeout INTEGER,
+        depends_on TEXT,
+        queue TEXT NOT NULL DEFAULT 'default',
+        cancel_requested INTEGER NOT NULL DEFAULT 0,
+        idempotency_key TEXT,
+        cwd TEXT,
+        env TEXT,
+        args TEXT,
+        payload TEXT,
+        type TEXT,
+        result TEXT,
+        exit_code INTEGER,
+        duration_ms INTEGER,
+        retry_policy TEXT
       );
       
       CREATE INDEX IF NOT EXISTS idx_state ON jobs(state);
@@ -35,6 +133,90 @@ class Storage {
       CREATE INDEX IF NOT EXISTS idx_worker ON jobs(worker_id);
     `);
 
+    this.migrate();
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_state_priority ON jobs(state, priority DESC, created_at);
+      CREATE INDEX IF NOT EXISTS idx_run_at ON jobs(run_at);
+      CREATE INDEX IF NOT EXISTS idx_queue_state_priority ON jobs(queue, state, priority DESC, created_at);
+      CREATE INDEX IF NOT EXISTS idx_created_at ON jobs(created_at);
+      CREATE INDEX IF NOT EXISTS idx_updated_at ON jobs(updated_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_key ON jobs(idempotency_key) WHERE idempotency_key IS NOT NULL;
+    `);
+
+    // Create workers table (live worker processes and their slot usage)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS workers (
+        id TEXT PRIMARY KEY,
+        pid INTEGER NOT NULL,
+        concurrency INTEGER NOT NULL DEFAULT 1,
+        busy INTEGER NOT NULL DEFAULT 0,
+        queues TEXT,
+        started_at TEXT NOT NULL,
+        heartbeat_at TEXT NOT NULL
+      );
+    `);
+
+    // Create job dependencies table (edges of the job DAG)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_dependencies (
+        job_id TEXT NOT NULL,
+        depends_on TEXT NOT NULL,
+        PRIMARY KEY (job_id, depends_on)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_depends_on ON job_dependencies(depends_on);
+    `);
+
+    // Create job attempts table (execution history, one row per run)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_attempts (
+        job_id TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        worker_id TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        exit_code INTEGER,
+        signal TEXT,
+        error_message TEXT,
+        PRIMARY KEY (job_id, attempt)
+      );
+    `);
+
+    // Create job logs table (captured output, one row per attempt)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_logs (
+        job_id TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        stdout TEXT NOT NULL DEFAULT '',
+        stderr TEXT NOT NULL DEFAULT '',
+        stdout_truncated INTEGER NOT NULL DEFAULT 0,
+        stderr_truncated INTEGER NOT NULL DEFAULT 0,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        PRIMARY KEY (job_id, attempt)
+      );
+    `);
+
+    // Create schedules table (recurring jobs)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        name TEXT PRIMARY KEY,
+        cron TEXT NOT NULL,
+        job_template TEXT NOT NULL,
+        misfire_policy TEXT,
+        paused INTEGER NOT NULL DEFAULT 0,
+        next_run_at TEXT,
+        last_run_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_schedule_next_run ON schedules(paused, next_run_at);
+    `);
+
     // Create config table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS config (
@@ -43,37 +225,108 @@ class Storage {
       );
     `);
 
-    // Initialize default config
-    const defaultConfig = this.db.prepare('SELECT COUNT(*) as count FROM config').get();
-    if (defaultConfig.count === 0) {
-      const insert = this.db.prepare('INSERT INTO config (key, value) VALUES (?, ?)');
-      insert.run('max_retries', '3');
-      insert.run('backoff_base', '2');
+    this.migrateConfig();
+  }
+
+  // Bring databases created by older versions up to the current schema
+  migrate() {
+    if (this.addColumnIfMissing('jobs', 'lease_expires_at', 'TEXT')) {
+      // Jobs left processing by older workers have no lease; let them expire right away
+      this.db.prepare(
+        "UPDATE jobs SET lease_expires_at = updated_at WHERE state = 'processing'"
+      ).run();
+    }
+    this.addColumnIfMissing('jobs', 'priority', 'INTEGER NOT NULL DEFAULT 0');
+    this.addColumnIfMissing('jobs', 'run_at', 'TEXT');
+    this.addColumnIfMissing('jobs', 'timeout', 'INTEGER');
+    this.addColumnIfMissing('jobs', 'depends_on', 'TEXT');
+    this.addColumnIfMissing('jobs', 'queue', "TEXT NOT NULL DEFAULT 'default'");
+    this.addColumnIfMissing('jobs', 'cancel_requested', 'INTEGER NOT NULL DEFAULT 0');
+    this.addColumnIfMissing('jobs', 'idempotency_key', 'TEXT');
+    this.addColumnIfMissing('jobs', 'cwd', 'TEXT');
+    this.addColumnIfMissing('jobs', 'env', 'TEXT');
+    this.addColumnIfMissing('jobs', 'args', 'TEXT');
+    this.addColumnIfMissing('jobs', 'payload', 'TEXT');
+    this.addColumnIfMissing('jobs', 'type', 'TEXT');
+    this.addColumnIfMissing('jobs', 'result', 'TEXT');
+    this.addColumnIfMissing('jobs', 'exit_code', 'INTEGER');
+    this.addColumnIfMissing('jobs', 'duration_ms', 'INTEGER');
+    this.addColumnIfMissing('jobs', 'retry_policy', 'TEXT');
+  }
+
+  // Older versions stored max_retries = 3 and backoff_base = 2 in every new database.
+  // Those rows would now count as values set with `config set` and hide .queuectlrc,
+  // so drop the ones still holding the seeded values. Done once (user_version 1), so
+  // that the same values set later are kept. Checked before taking the write lock, so
+  // opening a migrated database stays read-only.
+  migrateConfig() {
+    if (this.db.pragma('user_version', { simple: true }) >= 1) {
+      return;
+    }
+    this.transaction(() => {
+      // Another connection may have migrated it in the meantime
+      if (this.db.pragma('user_version', { simple: true }) >= 1) {
+        return;
+      }
+      this.db.prepare(
+        "DELETE FROM config WHERE (key = 'max_retries' AND value = '3') OR (key = 'backoff_base' AND value = '2')"
+      ).run();
+      this.db.pragma('user_version = 1');
+    });
+  }
+
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.some(c => c.name === column)) {
+      return false;
     }
+    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
   }
 
   // Job operations
   createJob(job) {
     const now = new Date().toISOString();
-    const stmt = this.db.prepare(`
-      INSERT INTO jobs (id, command, state, attempts, max_retries, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-    stmt.run(
-      job.id,
-      job.command,
-      job.state || 'pending',
-      job.attempts || 0,
-      job.max_retries || 3,
-      job.created_at || now,
-      job.updated_at || now
-    );
+    const dependsOn = job.depends_on || [];
+
+    this.db.transaction(() => {
+      this.insertJobStmt.run(
+        job.id,
+        job.command,
+        job.state || 'pending',
+        job.attempts || 0,
+        job.max_retries === undefined ? 3 : job.max_retries,
+        job.priority || 0,
+        job.run_at || null,
+        job.timeout === undefined ? null : job.timeout,
+        dependsOn.length > 0 ? JSON.stringify(dependsOn) : null,
+        job.queue || 'default',
+        job.idempotency_key || null,
+        job.cwd || null,
+        job.env ? JSON.stringify(job.env) : null,
+        job.args ? JSON.stringify(job.args) : null,
+        job.payload === undefined ? null : JSON.stringify(job.payload),
+        job.type || null,
+        job.retry ? JSON.stringify(job.retry) : null,
+        job.created_at || now,
+        job.updated_at || now
+      );
+      dependsOn.forEach(parentId => this.insertDependencyStmt.run(job.id, parentId));
+    })();
     return this.getJob(job.id);
   }
 
   getJob(id) {
-    const stmt = this.db.prepare('SELECT * FROM jobs WHERE id = ?');
-    const row = stmt.get(id);
+    const row = this.getJobStmt.get(id);
+    return row ? this.rowToJob(row) : null;
+  }
+
+  getJobByIdempotencyKey(key) {
+    const row = this.getJobByKeyStmt.get(key);
     return row ? this.rowToJob(row) : null;
   }
 
@@ -94,66 +347,227 @@ class Storage {
     return this.getJob(id);
   }
 
-  lockJob(id, workerId) {
-    const now = new Date().toISOString();
+  // Update a job only if it is still in the expected state; false if it moved on meanwhile
+  updateJobIfState(id, state, updates) {
+    const fields = [];
+    const values = [];
+
+    updates.updated_at = new Date().toISOString();
+
+    for (const [key, value] of Object.entries(updates)) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+
+    values.push(id, state);
+    const stmt = this.db.prepare(`UPDATE jobs SET ${fields.join(', ')} WHERE id = ? AND state = ?`);
+    return stmt.run(...values).changes > 0;
+  }
+
+  // Jobs that list the given job in their depends_on
+  getDependents(id) {
+    const stmt = this.db.prepare(`
+      SELECT jobs.* FROM jobs
+      JOIN job_dependencies ON job_dependencies.job_id = jobs.id
+      WHERE job_dependencies.depends_on = ?
+      ORDER BY jobs.created_at ASC
+    `);
+    return stmt.all(id).map(row => this.rowToJob(row));
+  }
+
+  // Whether a job is the given one or depends on it, directly or through other jobs
+  dependsOnTransitively(id, ancestorId) {
+    const row = this.db.prepare(`
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT ?
+        UNION
+        SELECT job_dependencies.depends_on FROM job_dependencies
+        JOIN ancestors ON job_dependencies.job_id = ancestors.id
+      )
+      SELECT 1 AS found FROM ancestors WHERE id = ? LIMIT 1
+    `).get(id, ancestorId);
+    return row !== undefined;
+  }
+
+  countUnfinishedDependencies(id) {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM job_dependencies
+      LEFT JOIN jobs ON jobs.id = job_dependencies.depends_on
+      WHERE job_dependencies.job_id = ? AND (jobs.state IS NULL OR jobs.state != 'completed')
+    `).get(id);
+    return row.count;
+  }
+
+  // Extend the lease of a job the worker still owns; false means the lease was lost
+  renewLease(id, workerId, leaseMs) {
     const stmt = this.db.prepare(`
-      UPDATE jobs 
-      SET state = 'processing', worker_id = ?, updated_at = ?
-      WHERE id = ? AND state = 'pending'
+      UPDATE jobs
+      SET lease_expires_at = ?
+      WHERE id = ? AND state = 'processing' AND worker_id = ?
     `);
-    const result = stmt.run(workerId, now, id);
+    const leaseExpiresAt = new Date(Date.now() + leaseMs).toISOString();
+    const result = stmt.run(leaseExpiresAt, id, workerId);
     return result.changes > 0;
   }
 
-  getNextPendingJob() {
+  requestCancel(id) {
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      UPDATE jobs
+      SET cancel_requested = 1, updated_at = ?
+      WHERE id = ? AND state = 'processing'
+    `);
+    return stmt.run(now, id).changes > 0;
+  }
+
+  isCancelRequested(id) {
+    const row = this.db.prepare('SELECT cancel_requested FROM jobs WHERE id = ?').get(id);
+    return Boolean(row && row.cancel_requested);
+  }
+
+  getExpiredLeases() {
+    const now = new Date().toISOString();
     const stmt = this.db.prepare(`
-      SELECT * FROM jobs 
-      WHERE state = 'pending' 
-      ORDER BY created_at ASC 
-      LIMIT 1
+      SELECT * FROM jobs
+      WHERE state = 'processing'
+      AND lease_expires_at <= ?
+      ORDER BY lease_expires_at ASC
     `);
-    const row = stmt.get();
-    return row ? this.rowToJob(row) : null;
+    const rows = stmt.all(now);
+    return rows.map(row => this.rowToJob(row));
   }
 
-  getRetryableJobs() {
+  // Move scheduled jobs whose run_at has passed to pending
+  promoteDueJobs() {
     const now = new Date().toISOString();
     const stmt = this.db.prepare(`
-      SELECT * FROM jobs 
-      WHERE state = 'failed' 
-      AND attempts < max_retries
-      AND (next_retry_at IS NULL OR next_retry_at <= ?)
-      ORDER BY next_retry_at ASC
-      LIMIT 1
+      UPDATE jobs
+      SET state = 'pending', updated_at = ?
+      WHERE state = 'scheduled' AND run_at <= ?
     `);
-    const row = stmt.get(now);
+    return stmt.run(now, now).changes;
+  }
+
+  // Atomically pick the next runnable job and hand it to a worker under a lease:
+  // a pending job if there is one, otherwise a failed job whose retry is due.
+  // Both picks run in one IMMEDIATE transaction, so two workers can never claim the
+  // same job and a worker that finds a job never loses it to another.
+  claimNextJob(workerId, leaseMs, queue = null) {
+    const now = new Date();
+    const lease = [workerId, now.toISOString(), new Date(now.getTime() + leaseMs).toISOString()];
+    const suffix = queue ? ':queue' : '';
+    const filter = queue ? [queue] : [];
+
+    const row = this.transaction(() => (
+      this.claimStmts[`pending${suffix}`].get(...lease, ...filter) ||
+      this.claimStmts[`retry${suffix}`].get(...lease, now.toISOString(), ...filter)
+    ));
     return row ? this.rowToJob(row) : null;
   }
 
-  listJobs(state = null) {
-    let query = 'SELECT * FROM jobs';
-    let params = [];
-    
-    if (state) {
-      query += ' WHERE state = ?';
-      params.push(state);
+  // WHERE clause shared by listJobs and countJobs
+  jobFilterClause(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.state) {
+      conditions.push('state = ?');
+      params.push(filters.state);
     }
-    
-    query += ' ORDER BY created_at DESC';
-    
+    if (filters.priority !== undefined && filters.priority !== null) {
+      conditions.push('priority = ?');
+      params.push(filters.priority);
+    }
+    if (filters.queue) {
+      conditions.push('queue = ?');
+      params.push(filters.queue);
+    }
+    if (filters.command_glob) {
+      conditions.push('command GLOB ?');
+      params.push(filters.command_glob);
+    }
+    if (filters.command_contains) {
+      conditions.push("command LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(filters.command_contains)}%`);
+    }
+    if (filters.command_regex) {
+      conditions.push('command REGEXP ?');
+      params.push(filters.command_regex);
+    }
+    if (filters.worker_id) {
+      // The job's worker_id is cleared once it finishes; its latest attempt remembers who ran it
+      conditions.push('(SELECT worker_id FROM job_attempts WHERE job_id = jobs.id ORDER BY attempt DESC LIMIT 1) = ?');
+      params.push(filters.worker_id);
+    }
+    if (filters.created_after) {
+      conditions.push('created_at > ?');
+      params.push(filters.created_after);
+    }
+    if (filters.updated_before) {
+      conditions.push('updated_at < ?');
+      params.push(filters.updated_before);
+    }
+    if (filters.created_before) {
+      conditions.push('created_at < ?');
+      params.push(filters.created_before);
+    }
+    if (filters.search) {
+      // Case-insensitive substring match on the id or the command
+      const pattern = `%${escapeLike(filters.search)}%`;
+      conditions.push("(id LIKE ? ESCAPE '\\' OR command LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern);
+    }
+
+    return {
+      where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // filters.sort is one of SORT_COLUMNS, optionally with ":asc" or ":desc" (default)
+  listJobs(filters = {}) {
+    const { where, params } = this.jobFilterClause(filters);
+    const [field, direction = 'desc'] = (filters.sort || 'created').split(':');
+    const dir = direction === 'asc' ? 'ASC' : 'DESC';
+    // The id breaks ties so that pages do not overlap
+    let query = `SELECT * FROM jobs${where} ORDER BY ${SORT_COLUMNS[field]} ${dir}, id ${dir}`;
+
+    if (filters.limit || filters.offset) {
+      // A negative LIMIT means no limit in SQLite
+      query += ' LIMIT ? OFFSET ?';
+      params.push(filters.limit || -1, filters.offset || 0);
+    }
+
     const stmt = this.db.prepare(query);
     const rows = stmt.all(...params);
     return rows.map(row => this.rowToJob(row));
   }
 
+  countJobs(filters = {}) {
+    const { where, params } = this.jobFilterClause(filters);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM jobs${where}`).get(...params).count;
+  }
+
   getDLQJobs() {
     const stmt = this.db.prepare("SELECT * FROM jobs WHERE state = 'dead' ORDER BY updated_at DESC");
     const rows = stmt.all();
     return rows.map(row => this.rowToJob(row));
   }
 
+  setPriority(id, priority, states) {
+    const now = new Date().toISOString();
+    const placeholders = states.map(() => '?').join(', ');
+    const stmt = this.db.prepare(`
+      UPDATE jobs
+      SET priority = ?, updated_at = ?
+      WHERE id = ? AND state IN (${placeholders})
+    `);
+    const result = stmt.run(priority, now, id, ...states);
+    return result.changes > 0;
+  }
+
   moveToDLQ(id) {
-    return this.updateJob(id, { state: 'dead', worker_id: null });
+    return this.updateJob(id, { state: 'dead', worker_id: null, lease_expires_at: null });
   }
 
   retryFromDLQ(id) {
@@ -169,22 +583,79 @@ class Storage {
     });
   }
 
-  getStats() {
+  // Remove a job with its attempts and logs, if it is still in `state` when given.
+  // Dependency rows pointing at a job that did not complete are kept, so that its
+  // dependents never become runnable.
+  deleteJob(id, state = null) {
+    return this.transaction(() => {
+      const job = this.getJob(id);
+      if (!job || (state && job.state !== state)) {
+        return false;
+      }
+      this.db.prepare('DELETE FROM job_attempts WHERE job_id = ?').run(id);
+      this.db.prepare('DELETE FROM job_logs WHERE job_id = ?').run(id);
+      this.db.prepare('DELETE FROM job_dependencies WHERE job_id = ?').run(id);
+      if (job.state === 'completed') {
+        this.db.prepare('DELETE FROM job_dependencies WHERE depends_on = ?').run(id);
+      }
+      this.db.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+      return true;
+    });
+  }
+
+  // Hand free pages back to the filesystem. Databases created before auto_vacuum was
+  // enabled are switched over with one full VACUUM when `convert` is set.
+  compact(convert = false) {
+    const mode = this.db.pragma('auto_vacuum', { simple: true });
+    if (mode === 2) {
+      this.db.pragma('incremental_vacuum');
+    } else if (convert) {
+      this.db.pragma('auto_vacuum = INCREMENTAL');
+      this.db.exec('VACUUM');
+    }
+  }
+
+  getStats(queue = null) {
     const stmt = this.db.prepare(`
       SELECT 
         state,
         COUNT(*) as count
       FROM jobs
+      ${queue ? 'WHERE queue = ?' : ''}
       GROUP BY state
     `);
-    const rows = stmt.all();
-    const stats = { pending: 0, processing: 0, completed: 0, failed: 0, dead: 0 };
+    const rows = queue ? stmt.all(queue) : stmt.all();
+    const stats = Storage.emptyStats();
     rows.forEach(row => {
       stats[row.state] = row.count;
     });
     return stats;
   }
 
+  // Job counts per state, broken down by queue
+  getQueueStats() {
+    const stmt = this.db.prepare(`
+      SELECT queue, state, COUNT(*) as count
+      FROM jobs
+      GROUP BY queue, state
+      ORDER BY queue ASC
+    `);
+    const stats = {};
+    stmt.all().forEach(row => {
+      stats[row.queue] = stats[row.queue] || Storage.emptyStats();
+      stats[row.queue][row.state] = row.count;
+    });
+    return stats;
+  }
+
+  static sortKeys() {
+    return Object.keys(SORT_COLUMNS);
+  }
+
+  static emptyStats() {
+    return { blocked: 0, scheduled: 0, pending: 0, processing: 0, completed: 0, failed: 0, dead: 0, cancelled: 0 };
+  }
+
   rowToJob(row) {
     return {
       id: row.id,
@@ -192,11 +663,245 @@ class Storage {
       state: row.state,
       attempts: row.attempts,
       max_retries: row.max_retries,
+      priority: row.priority,
+      run_at: row.run_at,
+      timeout: row.timeout,
+      depends_on: row.depends_on ? JSON.parse(row.depends_on) : [],
+      queue: row.queue,
+      cancel_requested: row.cancel_requested === 1,
+      idempotency_key: row.idempotency_key,
+      cwd: row.cwd,
+      env: row.env ? JSON.parse(row.env) : null,
+      args: row.args ? JSON.parse(row.args) : null,
+      payload: row.payload === null ? null : JSON.parse(row.payload),
+      type: row.type,
+      retry: row.retry_policy ? JSON.parse(row.retry_policy) : null,
+      result: row.result === null ? null : JSON.parse(row.result),
+      exit_code: row.exit_code,
+      duration_ms: row.duration_ms,
       created_at: row.created_at,
       updated_at: row.updated_at,
       next_retry_at: row.next_retry_at,
       worker_id: row.worker_id,
+      error_message: row.error_message,
+      lease_expires_at: row.lease_expires_at
+    };
+  }
+
+  // Job attempt operations
+  startAttempt(jobId, workerId) {
+    const now = new Date().toISOString();
+    const row = this.db.prepare(
+      'SELECT COALESCE(MAX(attempt), 0) + 1 AS attempt FROM job_attempts WHERE job_id = ?'
+    ).get(jobId);
+    this.db.prepare(`
+      INSERT INTO job_attempts (job_id, attempt, worker_id, status, started_at)
+      VALUES (?, ?, ?, 'running', ?)
+    `).run(jobId, row.attempt, workerId, now);
+    return row.attempt;
+  }
+
+  // Also records the exit code and duration on the job, as those of its latest attempt
+  finishAttempt(jobId, attempt, result) {
+    const row = this.db.prepare(
+      'SELECT started_at FROM job_attempts WHERE job_id = ? AND attempt = ?'
+    ).get(jobId, attempt);
+    if (!row) {
+      return;
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt.getTime() - new Date(row.started_at).getTime();
+    const exitCode = result.exit_code === undefined ? null : result.exit_code;
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE job_attempts
+        SET status = ?, finished_at = ?, duration_ms = ?, exit_code = ?, signal = ?, error_message = ?
+        WHERE job_id = ? AND attempt = ?
+      `).run(
+        result.status,
+        finishedAt.toISOString(),
+        durationMs,
+        exitCode,
+        result.signal || null,
+        result.error_message || null,
+        jobId,
+        attempt
+      );
+      this.db.prepare('UPDATE jobs SET exit_code = ?, duration_ms = ? WHERE id = ?').run(exitCode, durationMs, jobId);
+    })();
+  }
+
+  getRunningAttempt(jobId) {
+    const row = this.db.prepare(
+      "SELECT attempt FROM job_attempts WHERE job_id = ? AND status = 'running' ORDER BY attempt DESC LIMIT 1"
+    ).get(jobId);
+    return row ? row.attempt : null;
+  }
+
+  getReclaimedCount() {
+    const row = this.db.prepare(
+      "SELECT COUNT(*) AS count FROM job_attempts WHERE status = 'reclaimed'"
+    ).get();
+    return row.count;
+  }
+
+  getAttempts(jobId) {
+    const stmt = this.db.prepare('SELECT * FROM job_attempts WHERE job_id = ? ORDER BY attempt ASC');
+    return stmt.all(jobId).map(row => ({
+      job_id: row.job_id,
+      attempt: row.attempt,
+      worker_id: row.worker_id,
+      status: row.status,
+      started_at: row.started_at,
+      finished_at: row.finished_at,
+      duration_ms: row.duration_ms,
+      exit_code: row.exit_code,
+      signal: row.signal,
       error_message: row.error_message
+    }));
+  }
+
+  // Job log operations
+  createJobLog(jobId, attempt) {
+    const now = new Date().toISOString();
+    this.db.prepare(
+      'INSERT INTO job_logs (job_id, attempt, started_at) VALUES (?, ?, ?)'
+    ).run(jobId, attempt, now);
+  }
+
+  updateJobLog(jobId, attempt, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+
+    values.push(jobId, attempt);
+    const stmt = this.db.prepare(`UPDATE job_logs SET ${fields.join(', ')} WHERE job_id = ? AND attempt = ?`);
+    stmt.run(...values);
+  }
+
+  getJobLogs(jobId, attempt = null) {
+    let query = 'SELECT * FROM job_logs WHERE job_id = ?';
+    const params = [jobId];
+
+    if (attempt !== null) {
+      query += ' AND attempt = ?';
+      params.push(attempt);
+    }
+
+    query += ' ORDER BY attempt ASC';
+
+    const rows = this.db.prepare(query).all(...params);
+    return rows.map(row => ({
+      job_id: row.job_id,
+      attempt: row.attempt,
+      stdout: row.stdout,
+      stderr: row.stderr,
+      stdout_truncated: row.stdout_truncated === 1,
+      stderr_truncated: row.stderr_truncated === 1,
+      started_at: row.started_at,
+      finished_at: row.finished_at
+    }));
+  }
+
+  // Worker operations
+  registerWorker(worker) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT OR REPLACE INTO workers (id, pid, concurrency, busy, queues, started_at, heartbeat_at)
+      VALUES (?, ?, ?, 0, ?, ?, ?)
+    `).run(worker.id, worker.pid, worker.concurrency, worker.queues || null, now, now);
+  }
+
+  updateWorker(id, busy) {
+    this.db.prepare('UPDATE workers SET busy = ?, heartbeat_at = ? WHERE id = ?')
+      .run(busy, new Date().toISOString(), id);
+  }
+
+  removeWorker(id) {
+    this.db.prepare('DELETE FROM workers WHERE id = ?').run(id);
+  }
+
+  listWorkers() {
+    return this.db.prepare('SELECT * FROM workers ORDER BY started_at ASC').all();
+  }
+
+  // Schedule operations
+  createSchedule(schedule) {
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      INSERT INTO schedules (name, cron, job_template, misfire_policy, paused, next_run_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 0, ?, ?, ?)
+    `);
+    stmt.run(
+      schedule.name,
+      schedule.cron,
+      JSON.stringify(schedule.job_template),
+      schedule.misfire_policy || null,
+      schedule.next_run_at,
+      now,
+      now
+    );
+    return this.getSchedule(schedule.name);
+  }
+
+  getSchedule(name) {
+    const row = this.db.prepare('SELECT * FROM schedules WHERE name = ?').get(name);
+    return row ? this.rowToSchedule(row) : null;
+  }
+
+  listSchedules() {
+    const rows = this.db.prepare('SELECT * FROM schedules ORDER BY name ASC').all();
+    return rows.map(row => this.rowToSchedule(row));
+  }
+
+  getDueSchedules() {
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      SELECT * FROM schedules
+      WHERE paused = 0 AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+    `);
+    return stmt.all(now).map(row => this.rowToSchedule(row));
+  }
+
+  updateSchedule(name, updates) {
+    const fields = [];
+    const values = [];
+
+    updates.updated_at = new Date().toISOString();
+
+    for (const [key, value] of Object.entries(updates)) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+
+    values.push(name);
+    const stmt = this.db.prepare(`UPDATE schedules SET ${fields.join(', ')} WHERE name = ?`);
+    const result = stmt.run(...values);
+    return result.changes > 0;
+  }
+
+  deleteSchedule(name) {
+    const result = this.db.prepare('DELETE FROM schedules WHERE name = ?').run(name);
+    return result.changes > 0;
+  }
+
+  rowToSchedule(row) {
+    return {
+      name: row.name,
+      cron: row.cron,
+      job_template: JSON.parse(row.job_template),
+      misfire_policy: row.misfire_policy,
+      paused: row.paused === 1,
+      next_run_at: row.next_run_at,
+      last_run_at: row.last_run_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
     };
   }
 
@@ -212,6 +917,11 @@ class Storage {
     stmt.run(key, value);
   }
 
+  // Returns whether there was a value to delete
+  deleteConfig(key) {
+    return this.db.prepare('DELETE FROM config WHERE key = ?').run(key).changes > 0;
+  }
+
   getAllConfig() {
     const stmt = this.db.prepare('SELECT key, value FROM config');
     const rows = stmt.all();
@@ -0,0 +1,9 @@
+// Detached supervisor entry point: supervisor-process.js <count> [queue spec] [concurrency]
+const Supervisor = require('./supervisor');
+
+const supervisor = new Supervisor({
+  count: parseInt(process.argv[2], 10),
+  queues: process.argv[3] || '',
+  concurrency: process.argv[4] ? parseInt(process.argv[4], 10) : 1
+});
+supervisor.start();
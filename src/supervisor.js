@@ -0,0 +1,296 @@
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { WorkerManager, generateId } = require('./worker');
+
+// Restart delay after a crash: doubles with each consecutive crash, up to the maximum
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 60 * 1000;
+// A worker that ran this long before crashing starts the backoff over
+const RESTART_RESET_AFTER = 30 * 1000;
+// Longer than a worker waits for its in-flight jobs, so stopping workers are not cut short
+const STOP_TIMEOUT = 40 * 1000;
+
+function dataDir() {
+  return path.join(process.cwd(), '.queuectl');
+}
+
+function supervisorFiles() {
+  const dir = dataDir();
+  return {
+    pid: path.join(dir, 'supervisor.pid'),
+    state: path.join(dir, 'supervisor.json'),
+    scale: path.join(dir, 'supervisor.scale'),
+    logs: path.join(dir, 'logs')
+  };
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function timestamp() {
+  return new Date().toISOString();
+}
+
+// Keeps a fixed number of worker processes running in the background. Runs detached
+// from the terminal (see supervisor-process.js); worker output goes to one log file per
+// slot under .queuectl/logs, and crashed workers are restarted with backoff.
+//
+// Controlled with signals: SIGTERM/SIGINT stop everything, SIGHUP restarts every worker,
+// SIGUSR2 applies the worker count written to the scale file.
+class Supervisor {
+  constructor(options = {}) {
+    this.count = options.count || 1;
+    this.queues = options.queues || '';
+    this.concurrency = options.concurrency || 1;
+    this.files = supervisorFiles();
+    this.slots = [];
+    this.stopping = false;
+    this.startedAt = null;
+  }
+
+  start() {
+    fs.mkdirSync(this.files.logs, { recursive: true });
+    fs.writeFileSync(this.files.pid, process.pid.toString());
+    this.startedAt = timestamp();
+
+    process.on('SIGTERM', () => this.stop());
+    process.on('SIGINT', () => this.stop());
+    process.on('SIGHUP', () => this.restartAll());
+    process.on('SIGUSR2', () => this.applyScaleRequest());
+
+    this.log(`Supervisor ${process.pid} started with ${this.count} worker(s)`);
+    this.scale(this.count);
+  }
+
+  log(message) {
+    console.log(`[${timestamp()}] ${message}`);
+  }
+
+  // Start a worker in a slot; each slot keeps its log file across restarts
+  spawnWorker(slot) {
+    slot.timer = null;
+    slot.next_restart_at = null;
+    slot.restart_requested = false;
+    slot.id = generateId();
+
+    const logFile = path.join(this.files.logs, `worker-${slot.index}.log`);
+    const log = fs.openSync(logFile, 'a');
+    fs.writeSync(log, `[${timestamp()}] Starting worker ${slot.id}\n`);
+    const child = spawn(process.execPath, WorkerManager.workerArgs(slot.id, this), {
+      stdio: ['ignore', log, log]
+    });
+    fs.closeSync(log);
+
+    slot.process = child;
+    slot.pid = child.pid;
+    slot.started_at = timestamp();
+    child.on('exit', (code, signal) => this.onExit(slot, code, signal));
+    this.log(`Worker ${slot.id} (slot ${slot.index}) started with pid ${child.pid}`);
+    this.writeState();
+  }
+
+  onExit(slot, code, signal) {
+    const ranFor = Date.now() - new Date(slot.started_at).getTime();
+    slot.process = null;
+    slot.pid = null;
+    slot.last_exit = { code, signal, at: timestamp() };
+    this.log(`Worker ${slot.id} (slot ${slot.index}) exited with ${signal ? `signal ${signal}` : `code ${code}`}`);
+
+    if (this.stopping || slot.retired) {
+      this.slots = this.slots.filter(other => other !== slot);
+      this.writeState();
+      if (this.stopping && this.slots.length === 0) {
+        this.exit();
+      }
+      return;
+    }
+
+    if (slot.restart_requested) {
+      this.spawnWorker(slot);
+      return;
+    }
+
+    // Crashed (or stopped by someone else): restart with backoff
+    slot.crashes = ranFor >= RESTART_RESET_AFTER ? 1 : slot.crashes + 1;
+    slot.restarts++;
+    const delay = Math.min(RESTART_BASE_DELAY * Math.pow(2, slot.crashes - 1), RESTART_MAX_DELAY);
+    slot.next_restart_at = new Date(Date.now() + delay).toISOString();
+    slot.timer = setTimeout(() => this.spawnWorker(slot), delay);
+    this.log(`Restarting slot ${slot.index} in ${delay}ms (crash ${slot.crashes} in a row)`);
+    this.writeState();
+  }
+
+  // Gracefully restart every worker; each is replaced as soon as it exits
+  restartAll() {
+    if (this.stopping) {
+      return;
+    }
+    this.log('Restarting all workers');
+    for (const slot of this.slots) {
+      if (slot.process) {
+        slot.restart_requested = true;
+        slot.process.kill('SIGTERM');
+      } else {
+        clearTimeout(slot.timer);
+        slot.crashes = 0;
+        this.spawnWorker(slot);
+      }
+    }
+  }
+
+  applyScaleRequest() {
+    let count;
+    try {
+      count = parseInt(fs.readFileSync(this.files.scale, 'utf8'), 10);
+      fs.unlinkSync(this.files.scale);
+    } catch (error) {
+      this.log(`Ignoring scale request: ${error.message}`);
+      return;
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      this.log(`Ignoring scale request for ${count} workers`);
+      return;
+    }
+    this.scale(count);
+  }
+
+  // Add slots, or retire the highest ones, until `count` are left
+  scale(count) {
+    if (this.stopping) {
+      return;
+    }
+    const active = this.slots.filter(slot => !slot.retired);
+    this.count = count;
+
+    for (let index = active.length; index < count; index++) {
+      const slot = { index: this.nextIndex(), retired: false, crashes: 0, restarts: 0, last_exit: null };
+      this.slots.push(slot);
+      this.spawnWorker(slot);
+    }
+
+    for (const slot of active.slice(count)) {
+      slot.retired = true;
+      if (slot.process) {
+        slot.process.kill('SIGTERM');
+      } else {
+        clearTimeout(slot.timer);
+        this.slots = this.slots.filter(other => other !== slot);
+      }
+    }
+
+    this.log(`Scaled to ${count} worker(s)`);
+    this.writeState();
+  }
+
+  nextIndex() {
+    const used = new Set(this.slots.map(slot => slot.index));
+    let index = 1;
+    while (used.has(index)) {
+      index++;
+    }
+    return index;
+  }
+
+  stop() {
+    if (this.stopping) {
+      return;
+    }
+    this.stopping = true;
+    this.log('Supervisor stopping');
+
+    for (const slot of [...this.slots]) {
+      clearTimeout(slot.timer);
+      if (slot.process) {
+        slot.process.kill('SIGTERM');
+      } else {
+        this.slots = this.slots.filter(other => other !== slot);
+      }
+    }
+    this.writeState();
+    if (this.slots.length === 0) {
+      this.exit();
+      return;
+    }
+
+    // Workers give up on their own jobs before this; only a hung worker is left to kill
+    setTimeout(() => {
+      for (const slot of this.slots) {
+        this.log(`Worker ${slot.id} did not stop within ${STOP_TIMEOUT}ms; killing it`);
+        slot.process.kill('SIGKILL');
+      }
+    }, STOP_TIMEOUT).unref();
+  }
+
+  exit() {
+    for (const file of [this.files.pid, this.files.state]) {
+      fs.rmSync(file, { force: true });
+    }
+    this.log('Supervisor stopped');
+    process.exit(0);
+  }
+
+  // Written on every change so `status` and the worker commands can see what is running
+  writeState() {
+    const state = {
+      pid: process.pid,
+      started_at: this.startedAt,
+      stopping: this.stopping,
+      desired: this.count,
+      queues: this.queues || null,
+      concurrency: this.concurrency,
+      log_dir: this.files.logs,
+      workers: this.slots.map(slot => ({
+        slot: slot.index,
+        id: slot.id,
+        pid: slot.pid,
+        started_at: slot.started_at,
+        restarts: slot.restarts,
+        retired: slot.retired,
+        next_restart_at: slot.next_restart_at,
+        last_exit: slot.last_exit
+      }))
+    };
+    const tmp = `${this.files.state}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.files.state);
+  }
+
+  // State of the running supervisor, or null; stale files from a dead one are removed
+  static read() {
+    const files = supervisorFiles();
+    let pid;
+    try {
+      pid = parseInt(fs.readFileSync(files.pid, 'utf8').trim(), 10);
+    } catch (error) {
+      return null;
+    }
+    if (!isAlive(pid)) {
+      fs.rmSync(files.pid, { force: true });
+      fs.rmSync(files.state, { force: true });
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(files.state, 'utf8'));
+    } catch (error) {
+      // Started but has not written its state yet, so how many workers it runs is not known
+      return { pid, desired: null, workers: [] };
+    }
+  }
+
+  static files() {
+    return supervisorFiles();
+  }
+
+  static isAlive(pid) {
+    return isAlive(pid);
+  }
+}
+
+module.exports = Supervisor;
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// Crockford's base32, as used by ULIDs
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function encode(value, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text = ALPHABET[Number(value % 32n)] + text;
+    value /= 32n;
+  }
+  return text;
+}
+
+// A ULID: 48 bits of millisecond timestamp then 80 random bits, as 26 characters.
+// Ids generated later sort after earlier ones, like created_at.
+function ulid(time = Date.now()) {
+  const random = BigInt(`0x${crypto.randomBytes(10).toString('hex')}`);
+  return encode(BigInt(time), 10) + encode(random, 16);
+}
+
+module.exports = { ulid };
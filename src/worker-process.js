@@ -1,7 +1,10 @@
 // Standalone worker process entry point
 const { Worker } = require('./worker');
+const Queue = require('./queue');
 
 const workerId = process.argv[2] || null;
-const worker = new Worker(workerId);
+const queues = process.argv[3] ? Queue.parseQueueSpec(process.argv[3]) : null;
+const concurrency = process.argv[4] ? parseInt(process.argv[4], 10) : 1;
+const worker = new Worker(workerId, { queues, concurrency });
 worker.start();
 
@@ -1,7 +1,21 @@
 const Queue = require('./queue');
+const Scheduler = require('./scheduler');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { QueueError, ConflictError, NotFoundError } = require('./errors');
+
+const SCHEDULER_TICK_INTERVAL = 1000;
+// How often a worker purges jobs past their retention period
+const RETENTION_INTERVAL = 60 * 1000;
+// How often a worker refreshes its row in the workers table while idle
+const WORKER_HEARTBEAT_INTERVAL = 5000;
+// How long a stopping worker waits for in-flight jobs before exiting anyway
+const SHUTDOWN_TIMEOUT = 30000;
+// How long `worker stop` waits for workers to exit before killing them; longer than the above
+const STOP_TIMEOUT = 40000;
+// How long the CLI waits for a daemon supervisor to start its workers or apply a new count
+const DAEMON_START_TIMEOUT = 10000;
 
 // Simple ID generator
 function generateId() {
@@ -9,12 +23,18 @@ function generateId() {
 }
 
 class Worker {
-  constructor(workerId = null) {
+  constructor(workerId = null, options = {}) {
     this.workerId = workerId || generateId();
+    this.queues = options.queues || null; // [{ name, weight }], null for all queues
+    this.concurrency = options.concurrency || 1;
+    // One connection shared by every slot, the scheduler and the config
     this.queue = new Queue();
+    this.scheduler = new Scheduler(this.queue);
+    this.lastSchedulerTick = 0;
+    this.lastRetentionRun = 0;
+    this.lastHeartbeat = 0;
     this.running = false;
-    this.currentJob = null;
-    this.processInterval = null;
+    this.inFlight = new Map(); // job id -> promise of its execution
     this.pidFile = path.join(process.cwd(), '.queuectl', `worker-${this.workerId}.pid`);
   }
 
@@ -25,12 +45,19 @@ class Worker {
 
     this.running = true;
     this.savePid();
+    this.queue.storage.registerWorker({
+      id: this.workerId,
+      pid: process.pid,
+      concurrency: this.concurrency,
+      queues: this.queues ? this.queues.map(q => `${q.name}:${q.weight}`).join(',') : null
+    });
 
     // Handle graceful shutdown
     process.on('SIGINT', () => this.stop());
     process.on('SIGTERM', () => this.stop());
 
-    console.log(`Worker ${this.workerId} started`);
+    const queues = this.queues ? this.queues.map(q => `${q.name}:${q.weight}`).join(', ') : 'all queues';
+    console.log(`Worker ${this.workerId} started (${queues}, ${this.concurrency} slot${this.concurrency === 1 ? '' : 's'})`);
     this.process();
   }
 
@@ -51,47 +78,102 @@ class Worker {
   async process() {
     while (this.running) {
       try {
-        const job = this.queue.getNextJob();
-        
+        this.tickScheduler();
+        this.enforceRetention();
+        this.heartbeat();
+
+        const job = this.busySlots() < this.concurrency ? this.queue.claimNextJob(this.workerId, this.queues) : null;
+
         if (job) {
-          this.currentJob = job;
-          await this.queue.executeJob(job, this.workerId);
-          this.currentJob = null;
-        } else {
-          // No jobs available, wait a bit
-          await this.sleep(1000);
+          this.run(job);
+          // Fill the next free slot right away
+          continue;
         }
+        // No free slot or no jobs available: wait a bit, or until a slot frees up
+        await Promise.race([this.sleep(1000), ...this.inFlight.values(), ...this.queue.lingering]);
       } catch (error) {
         console.error(`Worker ${this.workerId} error:`, error.message);
-        this.currentJob = null;
         await this.sleep(1000);
       }
     }
   }
 
+  // Execute a job in a free slot without waiting for it
+  run(job) {
+    const execution = this.queue.executeJob(job, this.workerId)
+      .catch((error) => {
+        console.error(`Worker ${this.workerId} error on job ${job.id}:`, error.message);
+      })
+      .finally(() => {
+        this.inFlight.delete(job.id);
+        this.heartbeat(true);
+      });
+    this.inFlight.set(job.id, execution);
+    this.heartbeat(true);
+  }
+
+  // Running jobs, plus inline handlers still running after their job timed out or was cancelled
+  busySlots() {
+    return this.inFlight.size + this.queue.lingering.size;
+  }
+
+  // Record slot usage in the workers table; `force` for changes, otherwise throttled
+  heartbeat(force = false) {
+    if (!force && Date.now() - this.lastHeartbeat < WORKER_HEARTBEAT_INTERVAL) {
+      return;
+    }
+    this.lastHeartbeat = Date.now();
+    this.queue.storage.updateWorker(this.workerId, this.busySlots());
+  }
+
+  // Fire due recurring schedules; every worker does this, the scheduler prevents double-firing
+  tickScheduler() {
+    if (Date.now() - this.lastSchedulerTick < SCHEDULER_TICK_INTERVAL) {
+      return;
+    }
+    this.lastSchedulerTick = Date.now();
+
+    for (const job of this.scheduler.tick()) {
+      console.log(`Worker ${this.workerId} enqueued scheduled job ${job.id}`);
+    }
+  }
+
+  // Purge jobs past the configured retention; cheap when nothing is due
+  enforceRetention() {
+    if (Date.now() - this.lastRetentionRun < RETENTION_INTERVAL) {
+      return;
+    }
+    this.lastRetentionRun = Date.now();
+
+    const purged = this.queue.applyRetention();
+    if (purged > 0) {
+      console.log(`Worker ${this.workerId} purged ${purged} job(s) past their retention period`);
+    }
+  }
+
   stop() {
+    if (!this.running) {
+      return;
+    }
     console.log(`Worker ${this.workerId} stopping...`);
     this.running = false;
 
-    // Wait for current job to finish (with timeout)
-    if (this.currentJob) {
-      console.log(`Waiting for job ${this.currentJob.id} to complete...`);
-      const startTime = Date.now();
-      const maxWait = 30000; // 30 seconds
-
-      return new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (!this.currentJob || Date.now() - startTime > maxWait) {
-            clearInterval(checkInterval);
-            this.removePid();
-            process.exit(0);
-          }
-        }, 500);
-      });
-    } else {
+    const exit = () => {
+      this.queue.storage.removeWorker(this.workerId);
       this.removePid();
       process.exit(0);
+    };
+
+    // Wait for in-flight jobs to finish (with timeout)
+    if (this.inFlight.size === 0) {
+      exit();
+      return;
     }
+    console.log(`Waiting for ${this.inFlight.size} job(s) to complete: ${[...this.inFlight.keys()].join(', ')}`);
+    const timeout = this.sleep(SHUTDOWN_TIMEOUT).then(() => {
+      console.log(`Worker ${this.workerId} gave up waiting for ${this.inFlight.size} job(s)`);
+    });
+    Promise.race([Promise.all(this.inFlight.values()), timeout]).then(exit);
   }
 
   sleep(ms) {
@@ -106,13 +188,17 @@ class WorkerManager {
     this.workerProcesses = [];
   }
 
-  startWorkers(count = 1) {
+  // Arguments for worker-process.js <id> [queue spec] [concurrency]
+  static workerArgs(workerId, options = {}) {
+    return [path.join(__dirname, 'worker-process.js'), workerId, options.queues || '', String(options.concurrency || 1)];
+  }
+
+  startWorkers(count = 1, options = {}) {
     const { spawn } = require('child_process');
-    const workerScript = path.join(__dirname, 'worker-process.js');
 
     for (let i = 0; i < count; i++) {
       const workerId = generateId();
-      const workerProcess = spawn('node', [workerScript, workerId], {
+      const workerProcess = spawn('node', WorkerManager.workerArgs(workerId, options), {
         detached: false,
         stdio: 'inherit'
       });
@@ -131,56 +217,147 @@ class WorkerManager {
     console.log(`Started ${count} worker(s)`);
   }
 
-  stopWorkers() {
-    const path = require('path');
-    const fs = require('fs');
+  // Start a detached supervisor that keeps `count` workers running after the terminal closes.
+  // Resolves with its state once it has started them.
+  async startDaemon(count = 1, options = {}) {
+    const { spawn } = require('child_process');
+    const Supervisor = require('./supervisor');
+
+    const running = Supervisor.read();
+    if (running) {
+      throw new ConflictError(`A supervisor is already running (pid ${running.pid}); use worker scale or worker restart`);
+    }
+
+    const files = Supervisor.files();
+    fs.mkdirSync(files.logs, { recursive: true });
+    const log = fs.openSync(path.join(files.logs, 'supervisor.log'), 'a');
+    const args = [path.join(__dirname, 'supervisor-process.js'), String(count), options.queues || '', String(options.concurrency || 1)];
+    const supervisor = spawn(process.execPath, args, {
+      detached: true,
+      stdio: ['ignore', log, log]
+    });
+    fs.closeSync(log);
+    supervisor.unref();
+
+    const state = await this.waitFor(() => {
+      const current = Supervisor.read();
+      return current && current.pid === supervisor.pid && current.workers.length === count ? current : null;
+    }, DAEMON_START_TIMEOUT);
+    if (!state) {
+      throw new QueueError(`Supervisor did not start; see ${path.join(files.logs, 'supervisor.log')}`);
+    }
+    return state;
+  }
+
+  // Ask the supervisor to gracefully restart every worker
+  restartWorkers() {
+    const supervisor = this.requireSupervisor();
+    process.kill(supervisor.pid, 'SIGHUP');
+    return supervisor;
+  }
+
+  // Ask the supervisor to run `count` workers; resolves with its state once it has
+  async scaleWorkers(count) {
+    const Supervisor = require('./supervisor');
+    const supervisor = this.requireSupervisor();
+    fs.writeFileSync(Supervisor.files().scale, String(count));
+    process.kill(supervisor.pid, 'SIGUSR2');
+
+    const state = await this.waitFor(() => {
+      const current = Supervisor.read();
+      return current && current.desired === count ? current : null;
+    }, DAEMON_START_TIMEOUT);
+    if (!state) {
+      throw new QueueError(`Supervisor ${supervisor.pid} did not apply the new worker count`);
+    }
+    return state;
+  }
+
+  requireSupervisor() {
+    const Supervisor = require('./supervisor');
+    const supervisor = Supervisor.read();
+    if (!supervisor) {
+      throw new NotFoundError('No supervisor running; start one with worker start --daemon');
+    }
+    return supervisor;
+  }
+
+  async waitFor(check, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const result = check();
+      if (result || Date.now() >= deadline) {
+        return result;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  // Stop the supervisor (which stops its own workers) and then any other workers, waiting
+  // for them to exit. Workers finish their in-flight jobs first, so only a process still
+  // running after `timeoutMs` is killed. Progress goes to `log`; resolves with the pids stopped.
+  async stopWorkers(timeoutMs = STOP_TIMEOUT, log = console.log) {
+    const Supervisor = require('./supervisor');
     const dataDir = path.join(process.cwd(), '.queuectl');
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-
-    return new Promise(async (resolve) => {
-      if (!fs.existsSync(dataDir)) {
-        resolve();
-        return;
+
+    const supervisor = Supervisor.read();
+    if (supervisor) {
+      log(`Stopping supervisor ${supervisor.pid} and its ${supervisor.workers.length} worker(s)...`);
+      await this.terminate([{ name: `Supervisor ${supervisor.pid}`, pid: supervisor.pid }], timeoutMs, log);
+    }
+
+    const workers = [];
+    for (const pidFile of fs.existsSync(dataDir) ? this.pidFiles() : []) {
+      const pid = parseInt(fs.readFileSync(path.join(dataDir, pidFile), 'utf8').trim(), 10);
+      if (Supervisor.isAlive(pid)) {
+        workers.push({ name: `Worker ${pidFile.slice('worker-'.length, -'.pid'.length)}`, pid, pidFile });
+      } else {
+        fs.rmSync(path.join(dataDir, pidFile), { force: true });
       }
+    }
 
-      const pidFiles = fs.readdirSync(dataDir)
-        .filter(f => f.startsWith('worker-') && f.endsWith('.pid'));
+    if (workers.length > 0) {
+      log(`Stopping ${workers.length} worker(s)...`);
+      await this.terminate(workers, timeoutMs, log);
+      // Killed workers cannot clean up after themselves
+      for (const worker of workers) {
+        fs.rmSync(path.join(dataDir, worker.pidFile), { force: true });
+      }
+    } else if (!supervisor) {
+      log('No workers running');
+      return { supervisor: null, workers: [] };
+    }
+    log('All workers stopped');
+    return { supervisor: supervisor ? supervisor.pid : null, workers: workers.map(worker => worker.pid) };
+  }
 
-      if (pidFiles.length === 0) {
-        console.log('No workers running');
-        resolve();
-        return;
+  // SIGTERM the processes and wait for them to exit, killing any still running after the timeout
+  async terminate(processes, timeoutMs, log = console.log) {
+    const Supervisor = require('./supervisor');
+    for (const proc of processes) {
+      try {
+        process.kill(proc.pid, 'SIGTERM');
+      } catch (error) {
+        // Already gone
       }
+    }
 
-      console.log(`Stopping ${pidFiles.length} worker(s)...`);
+    await this.waitFor(() => processes.every(proc => !Supervisor.isAlive(proc.pid)), timeoutMs);
 
-      for (const pidFile of pidFiles) {
-        try {
-          const pid = parseInt(fs.readFileSync(path.join(dataDir, pidFile), 'utf8').trim());
-          process.kill(pid, 'SIGTERM');
-        } catch (error) {
-          // Process might already be dead
-        }
+    for (const proc of processes.filter(p => Supervisor.isAlive(p.pid))) {
+      log(`${proc.name} (pid ${proc.pid}) did not stop within ${timeoutMs / 1000}s; killing it`);
+      try {
+        process.kill(proc.pid, 'SIGKILL');
+      } catch (error) {
+        // Exited in the meantime
       }
+    }
+  }
 
-      // Wait a bit for graceful shutdown
-      setTimeout(() => {
-        // Force kill any remaining
-        for (const pidFile of pidFiles) {
-          try {
-            const pid = parseInt(fs.readFileSync(path.join(dataDir, pidFile), 'utf8').trim());
-            process.kill(pid, 'SIGKILL');
-            fs.unlinkSync(path.join(dataDir, pidFile));
-          } catch (error) {
-            // Ignore
-          }
-        }
-        console.log('All workers stopped');
-        resolve();
-      }, 5000);
-    });
+  pidFiles() {
+    const dataDir = path.join(process.cwd(), '.queuectl');
+    return fs.readdirSync(dataDir)
+      .filter(f => f.startsWith('worker-') && f.endsWith('.pid'));
   }
 
   getActiveWorkers() {
@@ -216,5 +393,5 @@ class WorkerManager {
   }
 }
 
-module.exports = { Worker, WorkerManager };
+module.exports = { Worker, WorkerManager, generateId };
 
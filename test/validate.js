@@ -1,8 +1,9 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 
 const chalk = require('chalk');
 
@@ -25,6 +26,18 @@ async function runCommand(cmd) {
   }
 }
 
+// A raw HTTP request, since fetch does not let the Host header be set
+function httpRequest(port, method, path, headers = {}, body = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -210,6 +223,933 @@ async function main() {
     }
   })();
 
+  // Test 11: Captured job output
+  await test('Job logs', async () => {
+    const result = await runCommand('node src/cli.js logs test1');
+    if (!result.success) {
+      throw new Error('Logs command failed');
+    }
+    if (!result.stdout.includes('Attempt 1') || !result.stdout.includes('hello')) {
+      throw new Error('Captured output not found in logs');
+    }
+
+    // Following a job that disappears ends the stream instead of crashing
+    await runCommand('node src/cli.js enqueue \'{"id":"follow-gone","command":"echo never","delay":"1h"}\'');
+    const follow = spawn('node', ['src/cli.js', 'logs', 'follow-gone', '--follow'], { cwd: process.cwd(), stdio: 'ignore' });
+    const exited = new Promise(resolve => follow.on('exit', resolve));
+    await sleep(1000);
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join('.queuectl', 'jobs.db'));
+    db.prepare('DELETE FROM jobs WHERE id = ?').run('follow-gone');
+    db.close();
+    const code = await Promise.race([exited, sleep(3000).then(() => 'running')]);
+    if (code !== 0) {
+      follow.kill('SIGTERM');
+      throw new Error(`logs --follow did not end cleanly when its job went away: ${code}`);
+    }
+  })();
+
+  // Test 12: Attempt history
+  await test('Inspect job timeline', async () => {
+    const result = await runCommand('node src/cli.js inspect test-dlq');
+    if (!result.success) {
+      throw new Error('Inspect command failed');
+    }
+    if (!result.stdout.includes('attempt 1 failed') || !result.stdout.includes('exit code 127')) {
+      throw new Error('Failed attempt not found in timeline');
+    }
+  })();
+
+  // Test 13: Lease expiry after a worker crash
+  await test('Reclaim job from crashed worker', async () => {
+    await runCommand('node src/cli.js config set lease-duration 1');
+    await runCommand('node src/cli.js enqueue \'{"id":"lease-test","command":"sleep 2","max_retries":3}\'');
+
+    // Crash a worker while it holds the job
+    const crashed = spawn('node', ['src/worker-process.js', 'crash-worker'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1000);
+    crashed.kill('SIGKILL');
+    await sleep(1500);
+
+    // A new worker notices the expired lease and puts the job back on the retry path
+    const rescuer = spawn('node', ['src/worker-process.js', 'rescue-worker'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1000);
+    rescuer.kill('SIGTERM');
+    await sleep(500);
+    await runCommand('node src/cli.js config set lease-duration 30');
+
+    const result = await runCommand('node src/cli.js inspect lease-test');
+    if (!result.stdout.includes('attempt 1 reclaimed')) {
+      throw new Error('Expired lease was not reclaimed');
+    }
+    const status = await runCommand('node src/cli.js status');
+    if (!status.stdout.includes('Reclaimed (expired leases): 1')) {
+      throw new Error('Reclaimed count not reported in status');
+    }
+  })();
+
+  // Test 14: Priorities
+  await test('Job priorities', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"prio-urgent","command":"echo urgent","priority":10}\'');
+    await runCommand('node src/cli.js enqueue \'{"id":"prio-batch","command":"echo batch"}\'');
+
+    const reprioritized = await runCommand('node src/cli.js reprioritize prio-batch 7');
+    if (!reprioritized.success) {
+      throw new Error('Failed to reprioritize job');
+    }
+
+    const result = await runCommand('node src/cli.js list --priority 7');
+    if (!result.stdout.includes('prio-batch') || result.stdout.includes('prio-urgent')) {
+      throw new Error('Priority filter returned wrong jobs');
+    }
+  })();
+
+  // Test 15: Delayed jobs
+  await test('Scheduled jobs', async () => {
+    const result = await runCommand('node src/cli.js enqueue \'{"id":"delayed","command":"echo later","delay":"1h"}\'');
+    if (!result.success || !result.stdout.includes('"state": "scheduled"')) {
+      throw new Error('Delayed job was not scheduled');
+    }
+
+    const listResult = await runCommand('node src/cli.js list --state scheduled');
+    if (!listResult.stdout.includes('delayed') || !listResult.stdout.includes('Run At')) {
+      throw new Error('Scheduled job not found in list');
+    }
+
+    const invalid = await runCommand('node src/cli.js enqueue \'{"id":"bad-delay","command":"echo","delay":"soon"}\'');
+    if (invalid.success) {
+      throw new Error('Invalid delay was accepted');
+    }
+  })();
+
+  // Test 16: Recurring schedules
+  await test('Recurring schedules', async () => {
+    const added = await runCommand('node src/cli.js schedule add nightly-cleanup "0 3 * * *" \'{"command":"echo cleanup"}\'');
+    if (!added.success) {
+      throw new Error('Failed to add schedule');
+    }
+
+    const invalid = await runCommand('node src/cli.js schedule add broken "61 * * * *" \'{"command":"echo"}\'');
+    if (invalid.success) {
+      throw new Error('Invalid cron expression was accepted');
+    }
+    // A step such as */2 leaves the day of month unrestricted, so both day fields must match
+    const { nextRun } = require(path.resolve('src/cron'));
+    const monday = new Date(2026, 9, 19, 12);
+    if (nextRun('0 0 */2 * 1', monday).getTime() !== new Date(2026, 10, 9).getTime()) {
+      throw new Error(`*/2 day of month was treated as restricted: ${nextRun('0 0 */2 * 1', monday)}`);
+    }
+    if (nextRun('0 0 1 * 1', monday).getTime() !== new Date(2026, 9, 26).getTime()) {
+      throw new Error('Restricted day of month and day of week did not match either one');
+    }
+    // The template is checked like an enqueued job when the schedule is added
+    const badTemplate = await runCommand('node src/cli.js schedule add broken "0 3 * * *" \'{"command":"echo","priority":"high"}\'');
+    if (badTemplate.success || !badTemplate.stderr.includes('priority')) {
+      throw new Error('Invalid job template was accepted');
+    }
+
+    await runCommand('node src/cli.js schedule pause nightly-cleanup');
+    let result = await runCommand('node src/cli.js schedule list');
+    if (!result.stdout.includes('nightly-cleanup') || !result.stdout.includes('paused')) {
+      throw new Error('Paused schedule not listed');
+    }
+
+    await runCommand('node src/cli.js schedule remove nightly-cleanup');
+    result = await runCommand('node src/cli.js schedule list');
+    if (result.stdout.includes('nightly-cleanup')) {
+      throw new Error('Schedule was not removed');
+    }
+
+    // A due schedule fires once per tick, under an id derived from the tick time
+    await runCommand('node src/cli.js schedule add every-minute "* * * * *" \'{"command":"echo","args":["tick"],"queue":"ticks","delay":"1h"}\'');
+    if (!(await runCommand('node src/cli.js schedule list')).stdout.includes('Command: echo tick')) {
+      throw new Error('schedule list did not show the templated command line');
+    }
+    if (new Date().getSeconds() >= 55) {
+      await sleep(6000);
+    }
+    const Scheduler = require(path.resolve('src/scheduler'));
+    const scheduler = new Scheduler();
+    try {
+      const minute = new Date(Math.floor(Date.now() / 60000) * 60000);
+      scheduler.storage.updateSchedule('every-minute', { next_run_at: minute.toISOString() });
+      const fired = scheduler.tick();
+      if (fired.length !== 1 || fired[0].id !== `every-minute@${minute.toISOString()}`) {
+        throw new Error(`Unexpected jobs from a due schedule: ${fired.map(job => job.id).join(', ')}`);
+      }
+      const nextRunAt = scheduler.storage.getSchedule('every-minute').next_run_at;
+      if (nextRunAt !== new Date(minute.getTime() + 60000).toISOString()) {
+        throw new Error(`Schedule not advanced to the next minute: ${nextRunAt}`);
+      }
+      if (scheduler.tick().length !== 0) {
+        throw new Error('Schedule fired again before its next run');
+      }
+      // Even a tick replayed by another worker is only enqueued once
+      scheduler.storage.updateSchedule('every-minute', { next_run_at: minute.toISOString() });
+      if (scheduler.tick().length !== 0) {
+        throw new Error('Second tick in the same minute enqueued again');
+      }
+    } finally {
+      scheduler.storage.close();
+    }
+    await runCommand('node src/cli.js schedule remove every-minute');
+  })();
+
+  // Test 17: Job timeout
+  await test('Job timeout', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"timeout-test","command":"sleep 10","timeout":1,"max_retries":1}\'');
+
+    const worker = spawn('node', ['src/worker-process.js', 'timeout-worker'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(3000);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const result = await runCommand('node src/cli.js inspect timeout-test');
+    if (!result.stdout.includes('attempt 1 timed out') || !result.stdout.includes('State: dead')) {
+      throw new Error('Timeout not recorded as a distinct failure');
+    }
+  })();
+
+  // Test 18: Job dependencies
+  await test('Job dependencies', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"dag-build","command":"echo build"}\'');
+    const child = await runCommand('node src/cli.js enqueue \'{"id":"dag-deploy","command":"echo deploy","depends_on":["dag-build"]}\'');
+    if (!child.stdout.includes('"state": "blocked"')) {
+      throw new Error('Dependent job was not blocked');
+    }
+
+    const worker = spawn('node', ['src/worker-process.js', 'dag-worker'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(2500);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const result = await runCommand('node src/cli.js graph dag-deploy');
+    if (!result.stdout.includes('dag-deploy [completed]') || !result.stdout.includes('dag-build [completed]')) {
+      throw new Error('Dependency graph not completed in order');
+    }
+  })();
+
+  // Test 19: Named queues
+  await test('Named queues', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"queue-email","command":"echo email","queue":"emails"}\'');
+    await runCommand('node src/cli.js enqueue \'{"id":"queue-report","command":"echo report","queue":"reports"}\'');
+
+    // A worker restricted to the emails queue leaves reports alone
+    const worker = spawn('node', ['src/worker-process.js', 'emails-worker', 'emails'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(2000);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const completed = await runCommand('node src/cli.js list --queue emails --state completed');
+    if (!completed.stdout.includes('queue-email')) {
+      throw new Error('Job in worker queue was not processed');
+    }
+    const pending = await runCommand('node src/cli.js list --queue reports --state pending');
+    if (!pending.stdout.includes('queue-report')) {
+      throw new Error('Job in another queue was processed');
+    }
+    const status = await runCommand('node src/cli.js status');
+    if (!status.stdout.includes('Per Queue') || !status.stdout.includes('reports')) {
+      throw new Error('Per-queue breakdown missing from status');
+    }
+    // Every state has a column, so the counts in a row add up to its total
+    const row = status.stdout.split('\n').find(line => line.startsWith('reports ')).trim().split(/\s+/).slice(1).map(Number);
+    if (row.slice(0, -1).reduce((a, b) => a + b, 0) !== row[row.length - 1]) {
+      throw new Error(`Per-queue counts do not add up: ${row.join(' ')}`);
+    }
+  })();
+
+  // Test 20: Cancellation
+  await test('Job cancellation', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"cancel-waiting","command":"echo never","delay":"1h"}\'');
+    await runCommand('node src/cli.js enqueue \'{"id":"cancel-running","command":"sleep 30","queue":"cancel-test"}\'');
+
+    const waiting = await runCommand('node src/cli.js cancel cancel-waiting');
+    if (!waiting.success || !waiting.stdout.includes('cancelled')) {
+      throw new Error('Waiting job was not cancelled');
+    }
+
+    const worker = spawn('node', ['src/worker-process.js', 'cancel-worker', 'cancel-test'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1000);
+    const running = await runCommand('node src/cli.js cancel cancel-running');
+    if (!running.success) {
+      throw new Error('Failed to request cancellation of running job');
+    }
+    await sleep(2000);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const result = await runCommand('node src/cli.js list --state cancelled');
+    if (!result.stdout.includes('cancel-waiting') || !result.stdout.includes('cancel-running')) {
+      throw new Error('Jobs not in cancelled state');
+    }
+
+    // A job that finishes before its worker sees the request is not left flagged
+    const Queue = require(path.resolve('src/queue'));
+    const queue = new Queue();
+    try {
+      queue.enqueue({ id: 'cancel-late', command: 'true', queue: 'cancel-late' });
+      const job = queue.claimNextJob('late-worker', [{ name: 'cancel-late', weight: 1 }]);
+      queue.storage.requestCancel(job.id);
+      await queue.executeJob(job, 'late-worker');
+      const finished = queue.getJob('cancel-late');
+      if (finished.state !== 'completed' || finished.cancel_requested) {
+        throw new Error(`Finished job still has a cancellation requested (${finished.state})`);
+      }
+    } finally {
+      queue.storage.close();
+    }
+  })();
+
+  // Test 21: HTTP API
+  await test('HTTP API server', async () => {
+    const port = 18765;
+    const server = spawn('node', ['src/cli.js', 'serve', '--port', String(port), '--token', 'test-token'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1000);
+
+    const request = async (method, path, body, token = 'test-token') => {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      if (method !== 'GET') {
+        headers['Content-Type'] = 'application/json';
+      }
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      if ((await request('GET', '/stats', undefined, null)).status !== 401) {
+        throw new Error('Request without token was not rejected');
+      }
+      const created = await request('POST', '/jobs', { id: 'api-job', command: 'echo api', delay: '1h' });
+      if (created.status !== 201 || created.body.id !== 'api-job') {
+        throw new Error(`Enqueue returned ${created.status}`);
+      }
+      if ((await request('POST', '/jobs', { id: 'api-job', command: 'echo api' })).status !== 409) {
+        throw new Error('Duplicate id did not return 409');
+      }
+      if ((await request('POST', '/jobs', { id: 'api-bad' })).status !== 400) {
+        throw new Error('Invalid job did not return 400');
+      }
+      const fetched = await request('GET', '/jobs/api-job');
+      if (fetched.status !== 200 || fetched.body.state !== 'scheduled') {
+        throw new Error('Failed to fetch job');
+      }
+      const cancelled = await request('POST', '/jobs/api-job/cancel');
+      if (cancelled.status !== 200 || cancelled.body.job.state !== 'cancelled') {
+        throw new Error('Failed to cancel job');
+      }
+      if ((await request('GET', '/jobs/missing-job')).status !== 404) {
+        throw new Error('Unknown job did not return 404');
+      }
+    } finally {
+      server.kill('SIGTERM');
+      await sleep(500);
+    }
+  })();
+
+  // Test 22: Dashboard and DLQ purge
+  await test('Dashboard and DLQ purge', async () => {
+    const port = 18766;
+    const server = spawn('node', ['src/cli.js', 'serve', '--port', String(port)], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1000);
+
+    try {
+      const page = await fetch(`http://127.0.0.1:${port}/`);
+      if (page.status !== 200 || !(await page.text()).includes('Dead Letter Queue')) {
+        throw new Error('Dashboard page not served');
+      }
+      const jobs = await fetch(`http://127.0.0.1:${port}/jobs?limit=1&search=test`);
+      const total = Number(jobs.headers.get('X-Total-Count'));
+      if ((await jobs.json()).length !== 1 || !(total > 1)) {
+        throw new Error('Paginated job search did not return a page and total');
+      }
+
+      // Without a token, web pages must still not be able to use the API
+      const job = JSON.stringify({ id: 'browser-job', command: 'echo pwned', delay: '1h' });
+      const post = (headers) => httpRequest(port, 'POST', '/jobs', headers, job);
+      if ((await post({ 'Content-Type': 'text/plain' })).status !== 415) {
+        throw new Error('Non-JSON write was not rejected with 415');
+      }
+      if ((await post({ 'Content-Type': 'application/json', Origin: 'http://evil.example' })).status !== 403) {
+        throw new Error('Cross-origin write was not rejected with 403');
+      }
+      if ((await httpRequest(port, 'GET', '/stats', { Host: `evil.example:${port}` })).status !== 403) {
+        throw new Error('Request with a foreign Host was not rejected with 403');
+      }
+      if ((await post({ 'Content-Type': 'application/json', Origin: `http://127.0.0.1:${port}` })).status !== 201) {
+        throw new Error('Same-origin JSON write was rejected');
+      }
+    } finally {
+      server.kill('SIGTERM');
+      await sleep(500);
+    }
+
+    const before = await runCommand('node src/cli.js dlq list');
+    if (before.stdout.includes('No jobs')) {
+      throw new Error('Expected jobs in the DLQ before purging');
+    }
+    const purged = await runCommand('node src/cli.js dlq purge');
+    if (!purged.success) {
+      throw new Error('Failed to purge DLQ');
+    }
+    const after = await runCommand('node src/cli.js dlq list');
+    if (!after.stdout.includes('No jobs in Dead Letter Queue')) {
+      throw new Error('DLQ not empty after purge');
+    }
+  })();
+
+  // Test 23: Machine-readable output
+  await test('Machine-readable output formats', async () => {
+    await runCommand('node src/cli.js enqueue \'{"id":"format-job","command":"echo format","delay":"1h"}\'');
+
+    const json = await runCommand('node src/cli.js list --state scheduled --format json');
+    const jobs = JSON.parse(json.stdout);
+    if (!Array.isArray(jobs) || !jobs.some(job => job.id === 'format-job')) {
+      throw new Error('list --format json did not return the job');
+    }
+    if (json.stdout.includes('\u001b[')) {
+      throw new Error('Color codes in piped output');
+    }
+
+    const status = JSON.parse((await runCommand('node src/cli.js --json status')).stdout);
+    if (typeof status.jobs.scheduled !== 'number' || typeof status.total !== 'number') {
+      throw new Error('status --json schema mismatch');
+    }
+
+    const inspected = JSON.parse((await runCommand('node src/cli.js inspect format-job --json')).stdout);
+    if (inspected.id !== 'format-job' || inspected.state !== 'scheduled' || !Array.isArray(inspected.timeline)) {
+      throw new Error('inspect --json schema mismatch');
+    }
+    const setting = JSON.parse((await runCommand('node src/cli.js config get max-retries --json')).stdout);
+    if (setting.key !== 'max_retries' || typeof setting.value !== 'string') {
+      throw new Error('config get --json schema mismatch');
+    }
+
+    const csv = await runCommand('node src/cli.js list --state scheduled --format csv');
+    if (!csv.stdout.startsWith('id,command,state,') || !csv.stdout.includes('format-job,echo format,scheduled')) {
+      throw new Error('list --format csv output mismatch');
+    }
+
+    const cancelled = JSON.parse((await runCommand('node src/cli.js cancel format-job --json')).stdout);
+    if (cancelled.cancelled[0] !== 'format-job' || cancelled.requested.length !== 0) {
+      throw new Error('cancel --json schema mismatch');
+    }
+
+    const missing = await runCommand('node src/cli.js dlq retry no-such-job --format json');
+    const { error } = JSON.parse(missing.stderr);
+    if (missing.success || error.type !== 'NotFoundError' || error.exit_code !== 3) {
+      throw new Error('Missing job did not exit with code 3 and a JSON error');
+    }
+  })();
+
+  // Test 24: Pagination, sorting and filters
+  await test('List pagination, sorting and count', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await runCommand(`node src/cli.js enqueue '{"id":"page-${i}","command":"echo page ${i}","queue":"paging","delay":"1h"}'`);
+    }
+
+    const page = JSON.parse((await runCommand('node src/cli.js list --queue paging --sort created:asc --limit 2 --offset 1 --json')).stdout);
+    if (page.map(job => job.id).join(',') !== 'page-2,page-3') {
+      throw new Error(`Unexpected page: ${page.map(job => job.id).join(',')}`);
+    }
+
+    const count = await runCommand('node src/cli.js count --queue paging');
+    if (count.stdout.trim() !== '5') {
+      throw new Error(`Expected count 5, got ${count.stdout.trim()}`);
+    }
+    const regex = await runCommand('node src/cli.js count --queue paging --command-regex "page [45]$"');
+    if (regex.stdout.trim() !== '2') {
+      throw new Error('Regex filter did not match');
+    }
+    const old = await runCommand('node src/cli.js count --queue paging --created-before 1h');
+    if (old.stdout.trim() !== '0') {
+      throw new Error('created-before filter did not exclude new jobs');
+    }
+
+    // --worker still finds a job after it finished
+    await runCommand(`node src/cli.js enqueue '{"id":"by-worker","command":"true","queue":"by-worker"}'`);
+    const worker = spawn('node', ['src/worker-process.js', 'filter-worker', 'by-worker'], { cwd: process.cwd(), stdio: 'ignore' });
+    try {
+      await runCommand('node src/cli.js result by-worker --wait --timeout 10s');
+    } finally {
+      worker.kill('SIGTERM');
+      await sleep(500);
+    }
+    const byWorker = JSON.parse((await runCommand('node src/cli.js list --worker filter-worker --json')).stdout);
+    if (byWorker.length !== 1 || byWorker[0].id !== 'by-worker' || byWorker[0].state !== 'completed') {
+      throw new Error(`--worker did not find the completed job: ${byWorker.map(job => job.id).join(',')}`);
+    }
+  })();
+
+  // Test 25: Purge
+  await test('Purge old jobs with archive', async () => {
+    const dryRun = JSON.parse((await runCommand('node src/cli.js purge --state completed --dry-run --json')).stdout);
+    if (!(dryRun.purged > 0)) {
+      throw new Error('Dry run found no completed jobs to purge');
+    }
+    if ((await runCommand('node src/cli.js count --state completed')).stdout.trim() !== String(dryRun.purged)) {
+      throw new Error('Dry run deleted jobs');
+    }
+
+    const recent = JSON.parse((await runCommand('node src/cli.js purge --state completed --older-than 1h --json')).stdout);
+    if (recent.purged !== 0) {
+      throw new Error('Purged jobs newer than --older-than');
+    }
+
+    const archive = path.join('.queuectl', 'archive.ndjson');
+    const result = JSON.parse((await runCommand(`node src/cli.js purge --state completed --archive ${archive} --json`)).stdout);
+    if (result.purged !== dryRun.purged) {
+      throw new Error(`Purged ${result.purged} jobs, expected ${dryRun.purged}`);
+    }
+    if ((await runCommand('node src/cli.js count --state completed')).stdout.trim() !== '0') {
+      throw new Error('Completed jobs remain after purge');
+    }
+    const archived = fs.readFileSync(archive, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (archived.length !== result.purged || archived.some(job => job.state !== 'completed')) {
+      throw new Error('Archive does not match the purged jobs');
+    }
+  })();
+
+  // Test 26: Bulk enqueue
+  await test('Bulk enqueue from file and stdin', async () => {
+    const file = path.join('.queuectl', 'batch.ndjson');
+    fs.writeFileSync(file, [
+      '{"id":"bulk-1","command":"echo 1","delay":"1h"}',
+      '{"id":"bulk-2","command":"echo 2","delay":"1h"}',
+      '{"id":"bulk-3"}'
+    ].join('\n'));
+
+    const rejected = await runCommand(`node src/cli.js enqueue --file ${file}`);
+    if (rejected.success || !rejected.stdout.includes('line 3')) {
+      throw new Error('Invalid line did not reject the batch with its line number');
+    }
+    if ((await runCommand('node src/cli.js count --command-regex "^echo [12]$"')).stdout.trim() !== '0') {
+      throw new Error('Rejected batch left jobs behind');
+    }
+
+    fs.writeFileSync(file, '[{"id":"bulk-1","command":"echo 1","delay":"1h"},{"id":"bulk-2","command":"echo 2","delay":"1h"}]');
+    const inserted = await runCommand(`node src/cli.js enqueue --file ${file}`);
+    if (!inserted.success || !inserted.stdout.includes('2 inserted')) {
+      throw new Error('Failed to enqueue batch');
+    }
+
+    const stdin = await runCommand(`printf '{"id":"bulk-2","command":"echo 2"}\\n{"id":"bulk-4","command":"echo 4","delay":"1h"}\\n' | node src/cli.js enqueue - --skip-duplicates --json`);
+    const summary = JSON.parse(stdin.stdout);
+    if (!summary.committed || summary.inserted.length !== 1 || summary.skipped[0].location !== 'line 1') {
+      throw new Error('Duplicate was not skipped from stdin batch');
+    }
+  })();
+
+  // Test 27: Idempotent enqueue
+  await test('Generated ids and idempotent enqueue', async () => {
+    const first = JSON.parse((await runCommand('node src/cli.js enqueue \'{"command":"echo idem","delay":"1h","idempotency_key":"idem-1"}\' --json')).stdout);
+    if (!/^[0-9A-HJKMNP-TV-Z]{26}$/.test(first.id)) {
+      throw new Error(`Expected a generated ULID, got ${first.id}`);
+    }
+
+    const duplicate = await runCommand('node src/cli.js enqueue \'{"command":"echo idem","idempotency_key":"idem-1"}\'');
+    if (duplicate.success) {
+      throw new Error('Duplicate idempotency key was accepted');
+    }
+
+    const again = JSON.parse((await runCommand('node src/cli.js enqueue \'{"command":"echo idem","idempotency_key":"idem-1"}\' --if-exists ignore --json')).stdout);
+    if (again.id !== first.id || again.state !== 'scheduled') {
+      throw new Error('--if-exists ignore did not return the existing job');
+    }
+
+    const replaced = JSON.parse((await runCommand('node src/cli.js enqueue \'{"command":"echo replaced","delay":"1h","idempotency_key":"idem-1"}\' --if-exists replace --json')).stdout);
+    if (replaced.id !== first.id || replaced.command !== 'echo replaced') {
+      throw new Error('--if-exists replace did not replace the job');
+    }
+    if ((await runCommand('node src/cli.js count --command-contains "echo idem"')).stdout.trim() !== '0') {
+      throw new Error('Replaced job still present');
+    }
+
+    // Replacing a job must not make it depend on its own dependents
+    await runCommand('node src/cli.js enqueue \'{"id":"cycle-a","command":"true","delay":"1h"}\'');
+    await runCommand('node src/cli.js enqueue \'{"id":"cycle-b","command":"true","depends_on":["cycle-a"]}\'');
+    await runCommand('node src/cli.js enqueue \'{"id":"cycle-c","command":"true","depends_on":["cycle-b"]}\'');
+    const cycle = await runCommand('node src/cli.js enqueue \'{"id":"cycle-a","command":"true","depends_on":["cycle-c"]}\' --if-exists replace');
+    if (cycle.success || !cycle.stderr.includes('cycle')) {
+      throw new Error('Dependency cycle was accepted');
+    }
+    const kept = JSON.parse((await runCommand('node src/cli.js list --queue default --command-contains true --json')).stdout)
+      .find(job => job.id === 'cycle-a');
+    if (!kept || kept.depends_on.length !== 0) {
+      throw new Error('Rejected replace changed the original job');
+    }
+  })();
+
+  // Test 28: Concurrency
+  await test('Concurrent jobs in one worker', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await runCommand(`node src/cli.js enqueue '{"id":"slot-${i}","command":"sleep 2","queue":"slots"}'`);
+    }
+
+    const worker = spawn('node', ['src/worker-process.js', 'slot-worker', 'slots', '3'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(1500);
+
+    const status = JSON.parse((await runCommand('node src/cli.js status --json')).stdout);
+    const row = status.workers.find(w => w.id === 'slot-worker');
+    const processing = await runCommand('node src/cli.js count --queue slots --state processing');
+    worker.kill('SIGTERM');
+    await sleep(2000);
+
+    if (processing.stdout.trim() !== '3') {
+      throw new Error(`Expected 3 jobs running at once, got ${processing.stdout.trim()}`);
+    }
+    if (!row || row.busy !== 3 || row.concurrency !== 3) {
+      throw new Error('status did not report 3/3 busy slots');
+    }
+    // Graceful shutdown waits for every in-flight job
+    if ((await runCommand('node src/cli.js count --queue slots --state completed')).stdout.trim() !== '3') {
+      throw new Error('In-flight jobs did not finish on shutdown');
+    }
+  })();
+
+  // Test 29: Atomic claim
+  await test('Competing workers claim each job exactly once', async () => {
+    // The benchmark fails unless every job was claimed by exactly one worker
+    const result = await runCommand('node scripts/benchmark.js --jobs 200 --workers 4');
+    if (!result.success) {
+      throw new Error(result.stderr.trim());
+    }
+    if (!/^4\s/m.test(result.stdout)) {
+      throw new Error(`Benchmark did not report a 4-worker run: ${result.stdout}`);
+    }
+  })();
+
+  // Test 30: Supervisor
+  await test('Background workers under a supervisor', async () => {
+    const start = await runCommand('node src/cli.js worker start --daemon --count 2 --json');
+    if (!start.success) {
+      throw new Error(start.stderr);
+    }
+    const readState = () => JSON.parse(fs.readFileSync(path.join('.queuectl', 'supervisor.json'), 'utf8'));
+
+    try {
+      // A crashed worker is replaced after the first backoff delay
+      const crashed = readState().workers[0];
+      process.kill(crashed.pid, 'SIGKILL');
+      await sleep(2000);
+      const replaced = readState().workers.find(w => w.slot === crashed.slot);
+      if (!replaced.pid || replaced.pid === crashed.pid || replaced.restarts !== 1) {
+        throw new Error('Crashed worker was not restarted');
+      }
+
+      await runCommand('node src/cli.js worker scale 3');
+      const status = JSON.parse((await runCommand('node src/cli.js status --json')).stdout);
+      if (!status.supervisor || status.supervisor.desired !== 3 || status.supervisor.workers.length !== 3) {
+        throw new Error('Scaling to 3 workers was not applied');
+      }
+    } finally {
+      await runCommand('node src/cli.js worker stop');
+    }
+
+    if (fs.existsSync(path.join('.queuectl', 'supervisor.pid'))) {
+      throw new Error('Supervisor pid file left behind after stop');
+    }
+    if (!fs.readFileSync(path.join('.queuectl', 'logs', 'worker-1.log'), 'utf8').includes('started')) {
+      throw new Error('Worker log file not written');
+    }
+
+    // A supervisor that has not written its state yet
+    const starting = spawn('sleep', ['5']);
+    fs.writeFileSync(path.join('.queuectl', 'supervisor.pid'), String(starting.pid));
+    try {
+      const status = await runCommand('node src/cli.js status');
+      if (!status.stdout.includes(`pid ${starting.pid}, starting`) || status.stdout.includes('undefined')) {
+        throw new Error('Starting supervisor not reported as such');
+      }
+    } finally {
+      fs.rmSync(path.join('.queuectl', 'supervisor.pid'), { force: true });
+      starting.kill();
+    }
+  })();
+
+  // Test 31: Arguments, environment and payload
+  await test('Job args, cwd, env and payload', async () => {
+    const workDir = path.join('.queuectl', 'job-cwd');
+    fs.mkdirSync(workDir, { recursive: true });
+    const job = {
+      id: 'structured-1',
+      command: 'sh',
+      args: ['-c', 'pwd; echo "$GREETING $1"; cat', 'sh', '$(echo injected)'],
+      cwd: workDir,
+      env: { GREETING: 'hello' },
+      payload: { to: 'ada' },
+      queue: 'structured'
+    };
+    const enqueue = await runCommand(`node src/cli.js enqueue '${JSON.stringify(job)}' --json`);
+    if (!enqueue.success || JSON.parse(enqueue.stdout).cwd !== path.resolve(workDir)) {
+      throw new Error('cwd was not stored as an absolute path');
+    }
+    const invalid = await runCommand(`node src/cli.js enqueue '{"command":"true","env":{"bad name":"x"}}'`);
+    if (invalid.success) {
+      throw new Error('Invalid env variable name was accepted');
+    }
+
+    const worker = spawn('node', ['src/worker-process.js', 'structured-worker', 'structured'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(2500);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const logs = (await runCommand('node src/cli.js logs structured-1')).stdout;
+    if (!logs.includes(path.resolve(workDir)) || !logs.includes('hello $(echo injected)') || !logs.includes('{"to":"ada"}')) {
+      throw new Error(`Unexpected job output: ${logs}`);
+    }
+  })();
+
+  // Test 32: Handler jobs
+  await test('Node.js handler jobs', async () => {
+    const handlersDir = path.join('.queuectl', 'test-handlers');
+    fs.mkdirSync(handlersDir, { recursive: true });
+    fs.writeFileSync(path.join(handlersDir, 'add.js'),
+      "module.exports = async (payload, ctx) => { ctx.log('adding'); return { sum: payload.a + payload.b }; };\n");
+    fs.writeFileSync(path.join(handlersDir, 'explode.js'),
+      "module.exports = async () => { throw new Error('handler exploded'); };\n");
+
+    const unknown = await runCommand(`node src/cli.js enqueue '{"type":"add"}'`);
+    if (unknown.success) {
+      throw new Error('Job with an unregistered type was accepted');
+    }
+    await runCommand(`node src/cli.js config set handlers ${handlersDir}`);
+    await runCommand(`node src/cli.js enqueue '{"id":"handler-ok","type":"add","payload":{"a":2,"b":3},"queue":"handlers"}'`);
+    await runCommand(`node src/cli.js enqueue '{"id":"handler-fail","type":"explode","max_retries":1,"queue":"handlers"}'`);
+
+    const worker = spawn('node', ['src/worker-process.js', 'handler-worker', 'handlers'], { cwd: process.cwd(), stdio: 'ignore' });
+    await sleep(3000);
+    worker.kill('SIGTERM');
+    await sleep(500);
+
+    const ok = JSON.parse((await runCommand('node src/cli.js list --queue handlers --state completed --json')).stdout);
+    if (ok.length !== 1 || ok[0].result.sum !== 5) {
+      throw new Error('Handler result was not stored');
+    }
+    const failed = JSON.parse((await runCommand('node src/cli.js dlq list --json')).stdout).find(job => job.id === 'handler-fail');
+    if (!failed || !failed.error_message.includes('handler exploded')) {
+      throw new Error('Failing handler did not end up in the DLQ');
+    }
+
+    // An inline handler edited while the worker runs is reloaded
+    await runCommand('node src/cli.js config set handler-mode inline');
+    const inlineWorker = spawn('node', ['src/worker-process.js', 'inline-worker', 'handlers'], { cwd: process.cwd(), stdio: 'ignore' });
+    try {
+      await runCommand(`node src/cli.js enqueue '{"id":"handler-v1","type":"add","payload":{"a":1,"b":1},"queue":"handlers"}'`);
+      const first = await runCommand('node src/cli.js result handler-v1 --wait --timeout 10s');
+      fs.writeFileSync(path.join(handlersDir, 'add.js'),
+        'module.exports = async (payload) => ({ sum: payload.a + payload.b, version: 2 });\n');
+      await runCommand(`node src/cli.js enqueue '{"id":"handler-v2","type":"add","payload":{"a":1,"b":1},"queue":"handlers"}'`);
+      const second = await runCommand('node src/cli.js result handler-v2 --wait --timeout 10s');
+      if (JSON.parse(first.stdout).version !== undefined || JSON.parse(second.stdout).version !== 2) {
+        throw new Error(`Edited inline handler was not reloaded: ${first.stdout} ${second.stdout}`);
+      }
+
+      // One that ignores its abort signal keeps its slot until it returns
+      fs.writeFileSync(path.join(handlersDir, 'stubborn.js'),
+        'module.exports = () => new Promise(resolve => setTimeout(resolve, 4000));\n');
+      await runCommand(`node src/cli.js enqueue '{"id":"handler-stubborn","type":"stubborn","timeout":1,"max_retries":1,"queue":"handlers"}'`);
+      await runCommand(`node src/cli.js enqueue '{"id":"handler-after","type":"add","payload":{"a":1,"b":1},"queue":"handlers"}'`);
+      await runCommand('node src/cli.js result handler-stubborn --wait --timeout 10s');
+      await sleep(1000);
+      const waiting = JSON.parse((await runCommand('node src/cli.js list --queue handlers --state pending --json')).stdout);
+      const after = await runCommand('node src/cli.js result handler-after --wait --timeout 10s');
+      if (!waiting.some(job => job.id === 'handler-after') || !after.success) {
+        throw new Error('Next job did not wait for the slot of a handler that ignored its signal');
+      }
+    } finally {
+      inlineWorker.kill('SIGTERM');
+      await sleep(500);
+      await runCommand('node src/cli.js config unset handler-mode');
+    }
+  })();
+
+  // Test 33: Results
+  await test('Job results and result --wait', async () => {
+    const marker = { id: 'result-marker', command: `echo noise; echo 'QUEUECTL_RESULT {"rows": 42}'`, queue: 'results' };
+    await runCommand(`node src/cli.js enqueue '${JSON.stringify(marker).replace(/'/g, "'\\''")}'`);
+    await runCommand(`node src/cli.js enqueue '{"id":"result-tail","command":"echo line1; echo line2","queue":"results"}'`);
+    await runCommand(`node src/cli.js enqueue '{"id":"result-fail","command":"exit 3","max_retries":1,"queue":"results"}'`);
+
+    const early = await runCommand('node src/cli.js result result-tail');
+    if (early.success) {
+      throw new Error('result succeeded for a job that has not run');
+    }
+
+    const worker = spawn('node', ['src/worker-process.js', 'result-worker', 'results'], { cwd: process.cwd(), stdio: 'ignore' });
+    try {
+      const waited = await runCommand('node src/cli.js result result-marker --wait --timeout 10s');
+      if (!waited.success || JSON.parse(waited.stdout).rows !== 42) {
+        throw new Error(`Unexpected marker result: ${waited.stdout}`);
+      }
+      const tail = await runCommand('node src/cli.js result result-tail --wait --timeout 10s');
+      if (tail.stdout !== 'line1\nline2\n') {
+        throw new Error(`Unexpected stdout result: ${JSON.stringify(tail.stdout)}`);
+      }
+      const failed = await runCommand('node src/cli.js result result-fail --wait --timeout 10s --json');
+      const summary = JSON.parse(failed.stdout);
+      if (failed.success || summary.state !== 'dead' || summary.exit_code !== 3 || summary.duration_ms === null) {
+        throw new Error('Dead job did not report its exit code and duration');
+      }
+    } finally {
+      worker.kill('SIGTERM');
+      await sleep(500);
+    }
+  })();
+
+  // Test 34: Retry policies
+  await test('Retry policies and exit code rules', async () => {
+    const invalid = await runCommand(`node src/cli.js enqueue '{"command":"true","retry":{"strategy":"sideways"}}'`);
+    const jitter = await runCommand('node src/cli.js config set retry-jitter 2');
+    if (invalid.success || jitter.success) {
+      throw new Error('Invalid retry policy was accepted');
+    }
+
+    // Killed on timeout, the shell exits 2 from its trap; that must not count as exit code 2
+    const timeoutJob = { id: 'retry-timeout', command: 'trap "exit 2" TERM; sleep 5 & wait', timeout: 1, max_retries: 3, queue: 'retries', retry: { no_retry: [2], delay: '1h' } };
+    await runCommand(`node src/cli.js enqueue '${JSON.stringify(timeoutJob)}'`);
+    await runCommand(`node src/cli.js enqueue '{"id":"retry-exit-2","command":"exit 2","max_retries":5,"queue":"retries","retry":{"no_retry":[2]}}'`);
+    await runCommand(`node src/cli.js enqueue '{"id":"retry-fixed","command":"exit 1","max_retries":3,"queue":"retries","retry":{"strategy":"fixed","delay":"500ms"}}'`);
+
+    const worker = spawn('node', ['src/worker-process.js', 'retry-worker', 'retries'], { cwd: process.cwd(), stdio: 'ignore' });
+    try {
+      await runCommand('node src/cli.js result retry-exit-2 --wait --timeout 10s');
+      // Three attempts 500ms apart, instead of the default 2s and 4s
+      await runCommand('node src/cli.js result retry-fixed --wait --timeout 5s');
+      const jobs = JSON.parse((await runCommand('node src/cli.js list --queue retries --json')).stdout);
+      const noRetry = jobs.find(job => job.id === 'retry-exit-2');
+      const fixed = jobs.find(job => job.id === 'retry-fixed');
+      if (noRetry.state !== 'dead' || noRetry.attempts !== 1) {
+        throw new Error(`Exit code 2 was retried: ${noRetry.state} after ${noRetry.attempts} attempt(s)`);
+      }
+      if (fixed.state !== 'dead' || fixed.attempts !== 3) {
+        throw new Error(`Fixed delay job did not use up its retries in time: ${fixed.state} after ${fixed.attempts} attempt(s)`);
+      }
+      const timedOut = jobs.find(job => job.id === 'retry-timeout');
+      if (timedOut.state !== 'failed' || timedOut.attempts !== 1) {
+        throw new Error(`Timed out job was not retried: ${timedOut.state} after ${timedOut.attempts} attempt(s)`);
+      }
+    } finally {
+      worker.kill('SIGTERM');
+      await sleep(500);
+    }
+  })();
+
+  // Test 35: Config sources
+  await test('Config schema, unset, describe and overrides', async () => {
+    const rcFile = path.join(process.cwd(), '.queuectlrc');
+    fs.writeFileSync(rcFile, JSON.stringify({ 'max-retries': 7, job_timeout: '2m' }));
+    try {
+      // Still set to 5 by an earlier test
+      const stored = await runCommand('node src/cli.js config get max_retries');
+      const env = await runCommand('QUEUECTL_MAX_RETRIES=9 node src/cli.js config get max-retries');
+      await runCommand('node src/cli.js config unset max-retries');
+      const rc = await runCommand('node src/cli.js config get max-retries');
+      if (stored.stdout.trim() !== '5' || env.stdout.trim() !== '9' || rc.stdout.trim() !== '7') {
+        throw new Error(`Wrong precedence: db ${stored.stdout.trim()}, env ${env.stdout.trim()}, rc ${rc.stdout.trim()}`);
+      }
+
+      const described = JSON.parse((await runCommand('node src/cli.js config describe job-timeout --json')).stdout);
+      if (described.value !== '120' || described.source !== 'rc' || described.default !== '30') {
+        throw new Error(`Unexpected description: ${JSON.stringify(described)}`);
+      }
+
+      const badEnv = await runCommand('QUEUECTL_MAX_RETRIES=lots node src/cli.js config get max-retries');
+      const unknown = await runCommand('node src/cli.js config unset no-such-key --json');
+      if (badEnv.success || unknown.success || JSON.parse(unknown.stderr).error.exit_code !== 2) {
+        throw new Error('Invalid override or unknown key was accepted');
+      }
+
+      // Paths are stored absolute, whichever directory workers run in
+      await runCommand('node src/cli.js config set retention-archive archive.ndjson');
+      const archive = await runCommand('node src/cli.js config get retention-archive');
+      await runCommand('node src/cli.js config unset retention-archive');
+      if (archive.stdout.trim() !== path.resolve('archive.ndjson')) {
+        throw new Error(`Relative retention-archive stored as ${archive.stdout.trim()}`);
+      }
+    } finally {
+      fs.rmSync(rcFile, { force: true });
+    }
+  })();
+
+  // Test 36: Upgrading a database from before the config schema
+  await test('Upgraded database drops seeded config values', async () => {
+    const dir = path.resolve('.queuectl', 'old-database');
+    fs.mkdirSync(path.join(dir, '.queuectl'), { recursive: true });
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(dir, '.queuectl', 'jobs.db'));
+    db.exec(`
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY, command TEXT NOT NULL, state TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0, max_retries INTEGER NOT NULL DEFAULT 3,
+        created_at TEXT NOT NULL, updated_at TEXT NOT NULL, next_retry_at TEXT, worker_id TEXT, error_message TEXT
+      );
+      CREATE TABLE config (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      INSERT INTO config (key, value) VALUES ('max_retries', '3'), ('backoff_base', '2.5');
+    `);
+    db.close();
+    fs.writeFileSync(path.join(dir, '.queuectlrc'), JSON.stringify({ 'max-retries': 7 }));
+
+    const cli = `cd ${dir} && node ${path.resolve('src/cli.js')}`;
+    const settings = JSON.parse((await runCommand(`${cli} config describe --json`)).stdout);
+    const retries = settings.find(setting => setting.key === 'max_retries');
+    const base = settings.find(setting => setting.key === 'backoff_base');
+    if (retries.value !== '7' || retries.source !== 'rc') {
+      throw new Error(`Seeded max_retries still overrides .queuectlrc: ${retries.value} from ${retries.source}`);
+    }
+    // Only the seeded default goes; a value someone changed stays
+    if (base.value !== '2.5' || base.source !== 'db') {
+      throw new Error(`Changed backoff_base was dropped: ${base.value} from ${base.source}`);
+    }
+    const job = JSON.parse((await runCommand(`${cli} enqueue '{"command":"true","delay":"1h"}' --json`)).stdout);
+    if (job.max_retries !== 7) {
+      throw new Error(`New job got max_retries ${job.max_retries}`);
+    }
+
+    // Once migrated, opening the database does not need the write lock
+    const writer = new Database(path.join(dir, '.queuectl', 'jobs.db'));
+    writer.exec('BEGIN IMMEDIATE');
+    try {
+      const started = Date.now();
+      const status = await runCommand(`${cli} status --json`);
+      if (!status.success || Date.now() - started > 3000) {
+        throw new Error(`status waited for another connection's write lock: ${status.stderr}`);
+      }
+    } finally {
+      writer.exec('ROLLBACK');
+      writer.close();
+    }
+  })();
+
+  // Test 37: Database locked by another connection
+  await test('Worker survives a long write lock', async () => {
+    await runCommand(`node src/cli.js enqueue '{"id":"locked-job","command":"for i in 1 2 3 4 5 6 7 8 9; do echo $i; sleep 1; done","queue":"locked"}'`);
+    const worker = spawn('node', ['src/worker-process.js', 'locked-worker', 'locked'], { cwd: process.cwd(), stdio: 'ignore' });
+    try {
+      await sleep(1500);
+      // Held for longer than the busy timeout, so the worker's writes fail while it runs
+      const Database = require('better-sqlite3');
+      const db = new Database(path.join('.queuectl', 'jobs.db'));
+      db.exec('BEGIN EXCLUSIVE');
+      await sleep(7000);
+      db.exec('COMMIT');
+      db.close();
+
+      await runCommand('node src/cli.js result locked-job --wait --timeout 15s');
+      const [job] = JSON.parse((await runCommand('node src/cli.js list --queue locked --json')).stdout);
+      if (worker.exitCode !== null || job.state !== 'completed' || job.attempts !== 0) {
+        throw new Error(`Job did not complete on its first attempt: ${job.state} after ${job.attempts} failure(s)`);
+      }
+    } finally {
+      worker.kill('SIGTERM');
+      await sleep(500);
+    }
+  })();
+
   // Summary
   console.log(chalk.bold('\n📊 Test Summary\n'));
   console.log(chalk.green(`✓ Passed: ${testsPassed}`));